@@ -1,6 +1,6 @@
 /**
  * HRMS Admin Module
- * Handles admin functionality - users, permissions, templates, settings
+ * Handles admin functionality - users, permissions, templates, settings, audit logs
  */
 
 const Admin = (function() {
@@ -9,7 +9,11 @@ const Admin = (function() {
     let users = [];
     let permissions = [];
     let templates = [];
+    let previewCandidates = null;
+    let templateHistory = null;
     let selectedUserId = null;
+    let auditLogs = [];
+    const auditQuery = { page: 1, limit: CONFIG.DEFAULT_PAGE_SIZE, total: 0 };
     
     // =========================================
     // Initialization
@@ -39,6 +43,9 @@ const Admin = (function() {
             case 'settings':
                 await loadSettings();
                 break;
+            case 'audit-logs':
+                await loadAuditLogPage();
+                break;
         }
     }
     
@@ -51,6 +58,7 @@ const Admin = (function() {
         if (path.includes('permissions')) return 'permissions';
         if (path.includes('templates')) return 'templates';
         if (path.includes('settings')) return 'settings';
+        if (path.includes('audit-logs')) return 'audit-logs';
         return 'users';
     }
     
@@ -88,6 +96,18 @@ const Admin = (function() {
             settingsForm.addEventListener('submit', handleSettingsSubmit);
         }
         
+        // Audit log filters and export
+        const auditFilterForm = Utils.$('#audit-filter-form');
+        if (auditFilterForm) {
+            auditFilterForm.addEventListener('submit', handleAuditFilterSubmit);
+            auditFilterForm.addEventListener('reset', handleAuditFilterReset);
+        }
+        
+        const exportAuditBtn = Utils.$('#export-audit-btn');
+        if (exportAuditBtn) {
+            exportAuditBtn.addEventListener('click', exportAuditLogs);
+        }
+        
         // Search users
         const searchInput = Utils.$('#search-users');
         if (searchInput) {
@@ -100,8 +120,23 @@ const Admin = (function() {
         // Table action buttons (delegation)
         Utils.delegate('#users-table', '.btn-edit', 'click', handleEditUser);
         Utils.delegate('#users-table', '.btn-delete', 'click', handleDeleteUser);
+        Utils.delegate('#users-table', '.btn-view-as', 'click', handleViewAsUser);
         Utils.delegate('#templates-table', '.btn-edit', 'click', handleEditTemplate);
         Utils.delegate('#templates-table', '.btn-delete', 'click', handleDeleteTemplate);
+        Utils.delegate('#templates-table', '.btn-history', 'click', handleTemplateHistory);
+        Utils.delegate('#audit-logs-table', '.expandable-row', 'click', function() {
+            this.classList.toggle('expanded');
+        });
+        Utils.delegate('#audit-logs-footer', '.pagination-btn', 'click', function() {
+            auditQuery.page = parseInt(this.dataset.page, 10);
+            loadAuditLogs();
+        });
+        Utils.delegate('#audit-logs-footer', '.audit-page-size', 'change', function() {
+            auditQuery.limit = parseInt(this.value, 10);
+            auditQuery.page = 1;
+            Utils.updateUrlParam('limit', auditQuery.limit);
+            loadAuditLogs();
+        });
     }
     
     // =========================================
@@ -153,6 +188,10 @@ const Admin = (function() {
                     <td>${Utils.formatDate(user.created_at)}</td>
                     <td>
                         <div class="action-buttons">
+                            ${user.role !== CONFIG.ROLES.ADMIN && user.is_active ? `
+                            <button class="btn btn-sm btn-icon btn-view-as" title="View as this user">
+                                <i class="fas fa-user-secret"></i>
+                            </button>` : ''}
                             <button class="btn btn-sm btn-icon btn-edit" title="Edit">
                                 <i class="fas fa-edit"></i>
                             </button>
@@ -289,6 +328,68 @@ const Admin = (function() {
     // Permissions Management
     // =========================================
     
+    /**
+     * Ask how to view as a user, then start impersonating them
+     */
+    function handleViewAsUser() {
+        const userId = this.closest('tr').dataset.userId;
+        const user = users.find(u => u.id === userId);
+        if (!user) return;
+        
+        const existing = Utils.$('#view-as-modal');
+        if (existing) existing.remove();
+        
+        const modal = document.createElement('div');
+        modal.id = 'view-as-modal';
+        modal.className = 'modal modal-sm active';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">View as ${Utils.escapeHtml(user.name)}</h3>
+                    <button type="button" class="modal-close" data-view-as-action="close"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body">
+                    <p>You will see the app with ${Utils.escapeHtml(user.name)}'s role (${Utils.titleCase(user.role)})
+                    and permissions for ${Math.round(CONFIG.IMPERSONATION_DURATION / 60000)} minutes.
+                    The start and end are recorded in the audit log.</p>
+                    <label class="checkbox-label">
+                        <input type="checkbox" name="allow_writes">
+                        <span>Allow changes (saved as real changes under your account)</span>
+                    </label>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-view-as-action="close">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-view-as-action="start">
+                        <i class="fas fa-user-secret"></i> Start viewing
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        document.body.classList.add('modal-open');
+        
+        const close = () => {
+            modal.remove();
+            document.body.classList.remove('modal-open');
+        };
+        
+        Utils.delegate(modal, '[data-view-as-action="close"]', 'click', close);
+        Utils.delegate(modal, '[data-view-as-action="start"]', 'click', async () => {
+            const allowWrites = Utils.$('[name="allow_writes"]', modal).checked;
+            close();
+            
+            try {
+                Auth.showLoadingOverlay(`Starting to view as ${user.name}...`);
+                await Auth.startImpersonation(user, { allowWrites });
+            } catch (error) {
+                Auth.hideLoadingOverlay();
+                Utils.showToast(error.message || 'Failed to start viewing as this user', 'error');
+            }
+        });
+    }
+    
     /**
      * Load permissions
      */
@@ -304,6 +405,12 @@ const Admin = (function() {
             users = usersResponse.data;
             const modules = modulesResponse.data;
             
+            // Pages gate buttons on these keys; a renamed module would hide them for everyone
+            const missing = CONFIG.PERMISSION_MODULES.filter(key => !modules.some(module => module.key === key));
+            if (missing.length) {
+                Utils.showToast(`Permission modules used by the app are missing: ${missing.join(', ')}`, 'warning');
+            }
+            
             renderPermissionsUI(users, modules);
             Auth.hideLoadingOverlay();
         } catch (error) {
@@ -487,6 +594,9 @@ const Admin = (function() {
                             <button class="btn btn-sm btn-icon btn-edit" title="Edit">
                                 <i class="fas fa-edit"></i>
                             </button>
+                            <button class="btn btn-sm btn-icon btn-history" title="Version History">
+                                <i class="fas fa-history"></i>
+                            </button>
                             <button class="btn btn-sm btn-icon btn-delete" title="Delete">
                                 <i class="fas fa-trash"></i>
                             </button>
@@ -530,9 +640,125 @@ const Admin = (function() {
             delete form.dataset.templateId;
         }
         
+        setupTemplatePreview(form);
+        updateTemplatePreview();
+        
         Utils.openModal('template-modal');
     }
     
+    /**
+     * Add the variable list and live preview below the template content field
+     */
+    function setupTemplatePreview(form) {
+        if (Utils.$('#template-preview', form)) return;
+        
+        const content = form.querySelector('[name="content"]');
+        if (!content) return;
+        
+        let variablesHtml = '';
+        TemplateEngine.VARIABLES.forEach(variable => {
+            variablesHtml += `
+                <button type="button" class="template-variable" data-variable="${variable.name}" title="${Utils.escapeHtml(variable.description)}">{{${variable.name}}}</button>
+            `;
+        });
+        
+        const panel = document.createElement('div');
+        panel.id = 'template-preview';
+        panel.className = 'template-preview';
+        panel.innerHTML = `
+            <div class="template-variables">
+                <span class="form-hint">
+                    Click to insert. Filters: ${TemplateEngine.FILTERS.map(f => `| ${f}`).join(', ')}.
+                    Conditionals: {{#if candidate.token}} ... {{else}} ... {{/if}}
+                </span>
+                ${variablesHtml}
+            </div>
+            <div class="template-preview-header">
+                <label for="template-preview-candidate">Preview for</label>
+                <select id="template-preview-candidate" class="form-control form-control-sm">
+                    <option value="">Sample candidate</option>
+                </select>
+            </div>
+            <div class="template-preview-errors hidden"></div>
+            <div class="template-preview-output"></div>
+            <p class="form-hint">
+                Sent messages are generated by the server, so they can differ from this
+                preview wherever the server does not support the same template syntax.
+            </p>
+        `;
+        (content.closest('.form-group') || content).insertAdjacentElement('afterend', panel);
+        
+        content.addEventListener('input', Utils.debounce(updateTemplatePreview, 150));
+        Utils.$('#template-preview-candidate', panel).addEventListener('change', updateTemplatePreview);
+        
+        Utils.delegate(panel, '.template-variable', 'click', function() {
+            insertAtCursor(content, `{{${this.dataset.variable}}}`);
+            updateTemplatePreview();
+        });
+        
+        loadPreviewCandidates();
+    }
+    
+    /**
+     * Load a few real candidates to preview templates against
+     */
+    async function loadPreviewCandidates() {
+        if (previewCandidates) return;
+        
+        try {
+            const response = await API.candidates.getAll({ limit: 20 });
+            previewCandidates = response.data || [];
+        } catch (error) {
+            // Previews still work with the sample candidate
+            previewCandidates = [];
+        }
+        
+        const select = Utils.$('#template-preview-candidate');
+        if (!select) return;
+        
+        previewCandidates.forEach(candidate => {
+            select.insertAdjacentHTML('beforeend', `
+                <option value="${candidate.id}">${Utils.escapeHtml(candidate.name)} (${Utils.escapeHtml(candidate.current_stage)})</option>
+            `);
+        });
+    }
+    
+    /**
+     * Insert text at the cursor position of a textarea
+     */
+    function insertAtCursor(field, text) {
+        const start = field.selectionStart;
+        const end = field.selectionEnd;
+        
+        field.value = field.value.slice(0, start) + text + field.value.slice(end);
+        field.focus();
+        field.selectionStart = field.selectionEnd = start + text.length;
+    }
+    
+    /**
+     * Render the template being edited against the chosen candidate
+     */
+    function updateTemplatePreview() {
+        const panel = Utils.$('#template-preview');
+        const content = Utils.$('#template-form [name="content"]');
+        if (!panel || !content) return;
+        
+        const candidateId = Utils.$('#template-preview-candidate', panel).value;
+        const candidate = candidateId && (previewCandidates || []).find(c => String(c.id) === candidateId);
+        const context = candidate ? TemplateEngine.buildContext(candidate) : TemplateEngine.getSampleContext();
+        
+        const errorsEl = Utils.$('.template-preview-errors', panel);
+        const outputEl = Utils.$('.template-preview-output', panel);
+        const check = TemplateEngine.validate(content.value);
+        
+        const messages = check.errors.concat(check.unknown.map(path => `Unknown variable "${path}" will be left blank`));
+        errorsEl.innerHTML = messages.map(message => `<p>${Utils.escapeHtml(message)}</p>`).join('');
+        errorsEl.classList.toggle('hidden', messages.length === 0);
+        
+        // textContent keeps the preview as plain text, exactly as it is sent
+        outputEl.textContent = check.valid ? TemplateEngine.render(content.value, context) : '';
+    }
+    
     /**
      * Handle template form submit
      */
@@ -544,6 +770,20 @@ const Admin = (function() {
         const formData = Utils.getFormData(this);
         const templateId = this.dataset.templateId;
         
+        const check = TemplateEngine.validate(formData.content);
+        if (!check.valid) {
+            Utils.showToast(check.errors[0], 'error');
+            return;
+        }
+        
+        if (check.unknown.length > 0) {
+            const proceed = await Utils.confirm(
+                `This template uses unknown variables (${check.unknown.join(', ')}) that will be left blank. Save anyway?`,
+                'Unknown Variables'
+            );
+            if (!proceed) return;
+        }
+        
         try {
             Auth.showLoadingOverlay(templateId ? 'Updating template...' : 'Creating template...');
             
@@ -591,6 +831,599 @@ const Admin = (function() {
         }
     }
     
+    // =========================================
+    // Template History
+    // =========================================
+    
+    /**
+     * Handle version history click
+     */
+    function handleTemplateHistory(e) {
+        const row = this.closest('tr');
+        const template = templates.find(t => t.id === row.dataset.templateId);
+        
+        if (template) {
+            openTemplateHistory(template);
+        }
+    }
+    
+    /**
+     * Open the version history of a template. Versions come newest first as
+     * { id, version, author_name, created_at }; their content is loaded on demand.
+     */
+    async function openTemplateHistory(template) {
+        try {
+            Auth.showLoadingOverlay('Loading history...');
+            const response = await API.templates.getVersions(template.id);
+            Auth.hideLoadingOverlay();
+            
+            templateHistory = {
+                template,
+                versions: response.data || [],
+                contents: {},
+                selectedId: null,
+                compareWith: 'previous'
+            };
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast('Failed to load template history', 'error');
+            return;
+        }
+        
+        if (templateHistory.versions.length === 0) {
+            Utils.showToast('This template has no saved versions yet', 'info');
+            return;
+        }
+        
+        const existing = Utils.$('#template-history-modal');
+        if (existing) existing.remove();
+        
+        const modal = document.createElement('div');
+        modal.id = 'template-history-modal';
+        modal.className = 'modal modal-lg active';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">History: ${Utils.escapeHtml(template.name)}</h3>
+                    <button type="button" class="modal-close" data-history-action="close"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body template-history">
+                    <ul class="template-history-list"></ul>
+                    <div class="template-history-detail">
+                        <div class="template-history-toolbar">
+                            <select class="form-control form-control-sm template-history-compare">
+                                <option value="previous">Compare with previous version</option>
+                                <option value="current">Compare with current template</option>
+                            </select>
+                            <button type="button" class="btn btn-sm btn-primary" data-history-action="restore">
+                                <i class="fas fa-undo"></i> Restore this version
+                            </button>
+                        </div>
+                        <div class="template-diff-wrapper"></div>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-history-action="close">Close</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        document.body.classList.add('modal-open');
+        
+        Utils.delegate(modal, '[data-history-action="close"]', 'click', closeTemplateHistory);
+        Utils.delegate(modal, '[data-history-action="restore"]', 'click', handleRestoreVersion);
+        Utils.delegate(modal, '.template-history-item', 'click', function() {
+            selectVersion(this.dataset.versionId);
+        });
+        Utils.$('.template-history-compare', modal).addEventListener('change', function() {
+            templateHistory.compareWith = this.value;
+            selectVersion(templateHistory.selectedId);
+        });
+        
+        selectVersion(String(templateHistory.versions[0].id));
+    }
+    
+    /**
+     * Render the list of versions
+     */
+    function renderVersionList() {
+        const list = Utils.$('#template-history-modal .template-history-list');
+        if (!list) return;
+        
+        let html = '';
+        templateHistory.versions.forEach((version, index) => {
+            const active = String(version.id) === templateHistory.selectedId ? ' active' : '';
+            html += `
+                <li class="template-history-item${active}" data-version-id="${version.id}">
+                    <strong>Version ${version.version}</strong>
+                    ${index === 0 ? '<span class="badge badge-success">Current</span>' : ''}
+                    <span class="text-muted">${Utils.escapeHtml(version.author_name || 'Unknown')}</span>
+                    <span class="text-muted">${Utils.formatDate(version.created_at, 'DD MMM YYYY, HH:mm')}</span>
+                </li>
+            `;
+        });
+        
+        list.innerHTML = html;
+    }
+    
+    /**
+     * Get the content of a version, fetching it once
+     */
+    async function getVersionContent(versionId) {
+        if (templateHistory.contents[versionId] === undefined) {
+            const response = await API.templates.getVersion(templateHistory.template.id, versionId);
+            templateHistory.contents[versionId] = response.data.content || '';
+        }
+        return templateHistory.contents[versionId];
+    }
+    
+    /**
+     * Show a version diffed against the version before it or the current one
+     */
+    async function selectVersion(versionId) {
+        const modal = Utils.$('#template-history-modal');
+        if (!modal) return;
+        
+        templateHistory.selectedId = versionId;
+        renderVersionList();
+        
+        const index = templateHistory.versions.findIndex(v => String(v.id) === versionId);
+        const version = templateHistory.versions[index];
+        const wrapper = Utils.$('.template-diff-wrapper', modal);
+        
+        // The newest version is what the template holds now
+        Utils.$('[data-history-action="restore"]', modal).disabled = index === 0;
+        
+        // Diff from the older text (left) to the newer text (right)
+        const older = templateHistory.compareWith === 'current' ? version : templateHistory.versions[index + 1];
+        const newer = templateHistory.compareWith === 'current' ? templateHistory.versions[0] : version;
+        
+        wrapper.innerHTML = '<p class="text-muted">Loading...</p>';
+        
+        try {
+            const oldContent = older ? await getVersionContent(String(older.id)) : '';
+            const newContent = await getVersionContent(String(newer.id));
+            
+            // Ignore results for a version that is no longer selected
+            if (!templateHistory || templateHistory.selectedId !== versionId) return;
+            
+            wrapper.innerHTML = renderDiff(
+                { label: older ? `Version ${older.version}` : 'Empty', content: oldContent },
+                { label: `Version ${newer.version}`, content: newContent }
+            );
+        } catch (error) {
+            wrapper.innerHTML = '<p class="text-danger">Failed to load this version</p>';
+        }
+    }
+    
+    /**
+     * Diff two texts line by line using the longest common subsequence.
+     * Returns rows of { type: 'same' | 'changed' | 'removed' | 'added', left, right }.
+     */
+    function diffLines(oldText, newText) {
+        const a = oldText.split('\n');
+        const b = newText.split('\n');
+        
+        // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        
+        const rows = [];
+        let removed = [];
+        let added = [];
+        
+        // Pair up removed and added lines so edits show side by side
+        const flush = () => {
+            const count = Math.max(removed.length, added.length);
+            for (let k = 0; k < count; k++) {
+                const left = removed[k] || null;
+                const right = added[k] || null;
+                rows.push({ type: left && right ? 'changed' : (left ? 'removed' : 'added'), left, right });
+            }
+            removed = [];
+            added = [];
+        };
+        
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                flush();
+                rows.push({ type: 'same', left: { line: i + 1, text: a[i] }, right: { line: j + 1, text: b[j] } });
+                i++;
+                j++;
+            } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+                added.push({ line: j + 1, text: b[j] });
+                j++;
+            } else {
+                removed.push({ line: i + 1, text: a[i] });
+                i++;
+            }
+        }
+        flush();
+        
+        return rows;
+    }
+    
+    /**
+     * Render a side-by-side diff table
+     */
+    function renderDiff(oldSide, newSide) {
+        const rows = diffLines(oldSide.content, newSide.content);
+        
+        if (rows.every(row => row.type === 'same')) {
+            return `<p class="text-muted">No changes between ${oldSide.label} and ${newSide.label}</p>`;
+        }
+        
+        const cells = (side, cls) => side
+            ? `<td class="diff-line-no">${side.line}</td><td class="diff-text ${cls}">${Utils.escapeHtml(side.text)}</td>`
+            : '<td class="diff-line-no"></td><td class="diff-text diff-empty"></td>';
+        
+        let html = '';
+        rows.forEach(row => {
+            const changed = row.type !== 'same';
+            html += `
+                <tr>
+                    ${cells(row.left, changed ? 'diff-removed' : '')}
+                    ${cells(row.right, changed ? 'diff-added' : '')}
+                </tr>
+            `;
+        });
+        
+        return `
+            <table class="template-diff">
+                <thead>
+                    <tr>
+                        <th colspan="2">${oldSide.label}</th>
+                        <th colspan="2">${newSide.label}</th>
+                    </tr>
+                </thead>
+                <tbody>${html}</tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * Restore the selected version. The server saves it as a new version,
+     * so the restore itself shows up in the history.
+     */
+    async function handleRestoreVersion() {
+        const version = templateHistory.versions.find(v => String(v.id) === templateHistory.selectedId);
+        if (!version) return;
+        
+        const confirmed = await Utils.confirm(
+            `Restore "${templateHistory.template.name}" to version ${version.version}? The current content stays in the history.`,
+            'Restore Version'
+        );
+        
+        if (!confirmed) return;
+        
+        try {
+            Auth.showLoadingOverlay('Restoring version...');
+            await API.templates.restoreVersion(templateHistory.template.id, version.id);
+            Utils.showToast(`Restored version ${version.version}`, 'success');
+            
+            closeTemplateHistory();
+            await loadTemplates();
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast(error.message || 'Failed to restore version', 'error');
+        }
+    }
+    
+    /**
+     * Close the history modal
+     */
+    function closeTemplateHistory() {
+        const modal = Utils.$('#template-history-modal');
+        if (modal) modal.remove();
+        document.body.classList.remove('modal-open');
+        templateHistory = null;
+    }
+    
+    // =========================================
+    // Audit Logs
+    // =========================================
+    
+    /**
+     * Load users for the filter and the first page of audit logs
+     */
+    async function loadAuditLogPage() {
+        const limitParam = parseInt(Utils.getUrlParam('limit'), 10);
+        auditQuery.limit = CONFIG.PAGE_SIZE_OPTIONS.includes(limitParam) ? limitParam : CONFIG.DEFAULT_PAGE_SIZE;
+        
+        renderAuditFilterOptions();
+        
+        try {
+            const response = await API.users.getAll();
+            users = response.data;
+            renderAuditFilterOptions();
+        } catch (error) {
+            // The log still loads without the user filter options
+        }
+        
+        await loadAuditLogs();
+    }
+    
+    /**
+     * Fill the user, entity type and action filter dropdowns
+     */
+    function renderAuditFilterOptions() {
+        const form = Utils.$('#audit-filter-form');
+        if (!form) return;
+        
+        const fill = (name, placeholder, options) => {
+            const select = form.querySelector(`[name="${name}"]`);
+            if (!select) return;
+            
+            const value = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>` + options
+                .map(option => `<option value="${option.value}">${Utils.escapeHtml(option.label)}</option>`)
+                .join('');
+            select.value = value;
+        };
+        
+        fill('user_id', 'All users', users.map(user => ({ value: user.id, label: user.name })));
+        fill('entity_type', 'All entities', CONFIG.AUDIT_ENTITY_TYPES.map(type => ({ value: type, label: formatAuditLabel(type) })));
+        fill('action', 'All actions', CONFIG.AUDIT_ACTIONS.map(action => ({ value: action, label: formatAuditLabel(action) })));
+    }
+    
+    /**
+     * Get the filter values that are set, ready to send as query params
+     */
+    function getAuditFilters() {
+        const form = Utils.$('#audit-filter-form');
+        const filters = form ? Utils.getFormData(form) : {};
+        
+        return Object.fromEntries(Object.entries(filters).filter(([_, value]) => value !== '' && value !== null));
+    }
+    
+    /**
+     * Load one page of audit logs. The response is
+     * { data: [entries], pagination: { page, limit, total, total_pages } }.
+     */
+    async function loadAuditLogs() {
+        const filters = getAuditFilters();
+        
+        if (filters.date_from && filters.date_to && filters.date_from > filters.date_to) {
+            Utils.showToast('The start date must be before the end date', 'error');
+            return;
+        }
+        
+        try {
+            Auth.showLoadingOverlay('Loading audit logs...');
+            const response = await API.settings.getAuditLogs({ ...filters, page: auditQuery.page, limit: auditQuery.limit });
+            
+            auditLogs = response.data || [];
+            auditQuery.total = response.pagination ? response.pagination.total : auditLogs.length;
+            
+            renderAuditLogsTable(auditLogs);
+            renderAuditPagination();
+            Auth.hideLoadingOverlay();
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast('Failed to load audit logs', 'error');
+        }
+    }
+    
+    /**
+     * Render audit log entries, each followed by a hidden before/after row
+     */
+    function renderAuditLogsTable(entries) {
+        const tbody = Utils.$('#audit-logs-table tbody');
+        if (!tbody) return;
+        
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">No audit log entries found</td></tr>';
+            return;
+        }
+        
+        let html = '';
+        entries.forEach(entry => {
+            const changed = getChangedKeys(entry.before, entry.after);
+            
+            html += `
+                <tr class="expandable-row" data-audit-id="${Utils.escapeHtml(String(entry.id))}">
+                    <td><span class="expand-toggle"><i class="fas fa-chevron-right"></i></span></td>
+                    <td>${Utils.formatDate(entry.created_at, 'DD MMM YYYY, HH:mm')}</td>
+                    <td>${Utils.escapeHtml(entry.user_name || 'System')}</td>
+                    <td><span class="badge ${getAuditActionBadge(entry.action)}">${Utils.escapeHtml(formatAuditLabel(entry.action))}</span></td>
+                    <td>${Utils.escapeHtml(formatAuditLabel(entry.entity_type))} <span class="text-muted">#${Utils.escapeHtml(String(entry.entity_id || ''))}</span></td>
+                    <td>${Utils.escapeHtml(entry.description || '')}</td>
+                </tr>
+                <tr class="expanded-content">
+                    <td colspan="6">
+                        ${changed.length ? `<p class="audit-changed">Changed: ${changed.map(key => `<code>${Utils.escapeHtml(key)}</code>`).join(', ')}</p>` : ''}
+                        <div class="audit-diff">
+                            <div>
+                                <h4>Before</h4>
+                                <pre class="audit-json">${formatAuditJson(entry.before)}</pre>
+                            </div>
+                            <div>
+                                <h4>After</h4>
+                                <pre class="audit-json">${formatAuditJson(entry.after)}</pre>
+                            </div>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        });
+        
+        tbody.innerHTML = html;
+    }
+    
+    /**
+     * Readable label for an audit action or entity type (impersonation_start -> Impersonation Start)
+     */
+    function formatAuditLabel(value) {
+        return Utils.titleCase(String(value || '').replace(/_/g, ' '));
+    }
+    
+    /**
+     * Badge color for an audit action
+     */
+    function getAuditActionBadge(action) {
+        if (['delete', 'reject'].includes(action)) return 'badge-danger';
+        if (['create', 'approve', 'restore'].includes(action)) return 'badge-success';
+        if (action === 'update') return 'badge-info';
+        return 'badge-warning';
+    }
+    
+    /**
+     * Pretty-print a before/after snapshot as escaped HTML
+     */
+    function formatAuditJson(value) {
+        if (value === null || value === undefined) {
+            return '<span class="text-muted">None</span>';
+        }
+        return Utils.escapeHtml(JSON.stringify(value, null, 2));
+    }
+    
+    /**
+     * Top-level keys whose values differ between two snapshots
+     */
+    function getChangedKeys(before, after) {
+        if (!before || !after || typeof before !== 'object' || typeof after !== 'object') return [];
+        
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    }
+    
+    /**
+     * Render the page info, page size selector and page buttons
+     */
+    function renderAuditPagination() {
+        const footer = Utils.$('#audit-logs-footer');
+        if (!footer) return;
+        
+        const totalPages = Math.max(1, Math.ceil(auditQuery.total / auditQuery.limit));
+        const page = auditQuery.page;
+        const from = auditQuery.total === 0 ? 0 : (page - 1) * auditQuery.limit + 1;
+        const to = Math.min(page * auditQuery.limit, auditQuery.total);
+        
+        // First, last and two pages either side of the current one
+        let buttons = '';
+        let last = 0;
+        for (let p = 1; p <= totalPages; p++) {
+            if (p !== 1 && p !== totalPages && Math.abs(p - page) > 2) continue;
+            if (p - last > 1) buttons += '<span class="pagination-ellipsis">&hellip;</span>';
+            buttons += `<button type="button" class="pagination-btn${p === page ? ' active' : ''}" data-page="${p}">${p}</button>`;
+            last = p;
+        }
+        
+        footer.innerHTML = `
+            <div class="table-info">Showing ${from}-${to} of ${auditQuery.total} entries</div>
+            <div class="page-size-selector">
+                <span>Show</span>
+                <select class="audit-page-size">
+                    ${CONFIG.PAGE_SIZE_OPTIONS.map(size => `<option value="${size}"${size === auditQuery.limit ? ' selected' : ''}>${size}</option>`).join('')}
+                </select>
+                <span>per page</span>
+            </div>
+            <div class="pagination">
+                <button type="button" class="pagination-btn" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                ${buttons}
+                <button type="button" class="pagination-btn" data-page="${page + 1}" ${page >= totalPages ? 'disabled' : ''}>
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Apply the audit filters from the first page
+     */
+    function handleAuditFilterSubmit(e) {
+        e.preventDefault();
+        auditQuery.page = 1;
+        loadAuditLogs();
+    }
+    
+    /**
+     * Clear the audit filters
+     */
+    function handleAuditFilterReset() {
+        // Let the form reset its fields before reloading
+        setTimeout(() => {
+            auditQuery.page = 1;
+            loadAuditLogs();
+        }, 0);
+    }
+    
+    /**
+     * Export every entry matching the filters (not just the current page) as CSV
+     */
+    async function exportAuditLogs() {
+        const filters = getAuditFilters();
+        const limit = CONFIG.PAGE_SIZE_OPTIONS[CONFIG.PAGE_SIZE_OPTIONS.length - 1];
+        const entries = [];
+        
+        try {
+            Auth.showLoadingOverlay('Exporting audit logs...');
+            
+            let page = 1;
+            let total = Infinity;
+            while (entries.length < total) {
+                const response = await API.settings.getAuditLogs({ ...filters, page, limit });
+                const data = response.data || [];
+                
+                entries.push(...data);
+                total = response.pagination ? response.pagination.total : entries.length;
+                if (data.length === 0) break;
+                page++;
+            }
+            
+            Auth.hideLoadingOverlay();
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast('Failed to export audit logs', 'error');
+            return;
+        }
+        
+        if (entries.length === 0) {
+            Utils.showToast('No audit log entries to export', 'info');
+            return;
+        }
+        
+        const header = ['Date', 'User', 'Action', 'Entity Type', 'Entity ID', 'Description', 'Before', 'After'];
+        const rows = entries.map(entry => [
+            entry.created_at,
+            entry.user_name || 'System',
+            entry.action,
+            entry.entity_type,
+            entry.entity_id,
+            entry.description,
+            entry.before ? JSON.stringify(entry.before) : '',
+            entry.after ? JSON.stringify(entry.after) : ''
+        ]);
+        
+        const csv = [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n');
+        
+        // The byte order mark makes Excel read the file as UTF-8
+        Utils.downloadBlob('\uFEFF' + csv, `audit-log-${Utils.getToday()}.csv`, 'text/csv;charset=utf-8');
+        Utils.showToast(`Exported ${entries.length} entries`, 'success');
+    }
+    
+    /**
+     * Quote a CSV cell, neutralising values a spreadsheet would run as formulas
+     * (a leading =, +, -, @, tab or carriage return)
+     */
+    function toCsvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    
     // =========================================
     // Settings Management
     // =========================================
@@ -648,6 +1481,7 @@ const Admin = (function() {
         loadPermissions,
         loadTemplates,
         loadSettings,
+        loadAuditLogs,
         openUserModal,
         openTemplateModal
     };
@@ -6,11 +6,101 @@
 const API = (function() {
     'use strict';
     
+    // Auth calls never trigger a token refresh (a failing refresh or logout
+    // would otherwise refresh again, forever)
+    const NO_REFRESH_ENDPOINTS = ['/auth/google/login', '/auth/refresh-token', '/auth/logout'];
+    
+    // Requests allowed in a read-only "view as user" session: token calls,
+    // realtime stream tickets and POSTs that only look things up. (The session is cleared before it is
+    // ended on the server, so that call is not blocked.)
+    const IMPERSONATION_ALLOWED_ENDPOINTS = [
+        '/auth/refresh-token',
+        '/auth/logout',
+        '/events/ticket',
+        '/hr/candidates/duplicates',
+        '/candidate/check-duplicate',
+        '/candidate/verify-math'
+    ];
+    
+    // The token refresh in progress, shared by every request that needs it
+    let refreshPromise = null;
+    
+    /**
+     * Reject a write made in a read-only "view as user" session before it is
+     * sent. The server enforces the same rule for the session; this only
+     * gives a clear message.
+     */
+    function assertWriteAllowed(endpoint) {
+        const session = Auth.getImpersonation();
+        
+        if (session && !session.allow_writes && !IMPERSONATION_ALLOWED_ENDPOINTS.includes(endpoint)) {
+            throw new Error(`Changes are disabled while viewing as ${session.user.name}`);
+        }
+    }
+    
+    /**
+     * Add the auth headers: the token and, while viewing as another user,
+     * the server-side impersonation session
+     */
+    function addAuthHeaders(headers) {
+        const token = Auth.getToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        
+        const session = Auth.getImpersonation();
+        if (session) {
+            headers['X-Impersonation-Session'] = session.session_id;
+        }
+        return headers;
+    }
+    
+    /**
+     * Get a new token after a 401 (Auth.refreshToken takes the cross-tab
+     * refresh lock). All requests that fail while a refresh is running wait
+     * for that same refresh; if it fails they all fail, and the
+     * user is logged out once and comes back to this page after signing in.
+     */
+    async function recoverFromUnauthorized(sentToken) {
+        // Another request refreshed the token after this one was sent
+        const currentToken = Auth.getToken();
+        if (sentToken && currentToken && currentToken !== sentToken) return;
+        
+        if (!sentToken) {
+            throw new Error('Session expired. Please login again.');
+        }
+        
+        if (!refreshPromise) {
+            refreshPromise = Auth.refreshToken()
+                .then(refreshed => {
+                    if (!refreshed) Auth.logout({ returnToPage: true });
+                    return refreshed;
+                })
+                .finally(() => {
+                    refreshPromise = null;
+                });
+        }
+        
+        if (!(await refreshPromise)) {
+            throw new Error('Session expired. Please login again.');
+        }
+    }
+    
     /**
      * Make HTTP request
      */
     async function request(endpoint, options = {}) {
         const url = `${CONFIG.API_BASE_URL}${endpoint}`;
+        const canRefresh = !NO_REFRESH_ENDPOINTS.includes(endpoint);
+        
+        if ((options.method || 'GET') !== 'GET') {
+            assertWriteAllowed(endpoint);
+        }
+        
+        // Hold new requests while the token is being refreshed
+        if (refreshPromise && canRefresh) {
+            await refreshPromise;
+        }
         
         // Default headers
         const headers = {
@@ -20,9 +110,7 @@ const API = (function() {
         
         // Add authorization token if available
         const token = Auth.getToken();
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
+        addAuthHeaders(headers);
         
         // Build request config
         const config = {
@@ -40,18 +128,12 @@ const API = (function() {
         try {
             const response = await fetch(url, config);
             
-            // Handle 401 Unauthorized
-            if (response.status === 401) {
-                const refreshed = await Auth.refreshToken();
-                if (refreshed) {
-                    // Retry request with new token
-                    headers['Authorization'] = `Bearer ${Auth.getToken()}`;
-                    const retryResponse = await fetch(url, { ...config, headers });
-                    return handleResponse(retryResponse);
-                } else {
-                    Auth.logout();
-                    throw new Error('Session expired. Please login again.');
-                }
+            // Handle 401 Unauthorized - retry once with a fresh token
+            if (response.status === 401 && canRefresh) {
+                await recoverFromUnauthorized(token);
+                headers['Authorization'] = `Bearer ${Auth.getToken()}`;
+                const retryResponse = await fetch(url, { ...config, headers });
+                return handleResponse(retryResponse);
             }
             
             return handleResponse(response);
@@ -85,22 +167,22 @@ const API = (function() {
     }
     
     /**
-     * GET request
+     * Append query parameters to an endpoint, skipping empty values
      */
-    function get(endpoint, params = {}) {
-        let url = endpoint;
-        
-        // Add query parameters
+    function withQuery(endpoint, params = {}) {
         const queryString = Object.entries(params)
             .filter(([_, value]) => value !== undefined && value !== null)
             .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
             .join('&');
         
-        if (queryString) {
-            url += `?${queryString}`;
-        }
-        
-        return request(url, { method: 'GET' });
+        return queryString ? `${endpoint}?${queryString}` : endpoint;
+    }
+    
+    /**
+     * GET request
+     */
+    function get(endpoint, params = {}) {
+        return request(withQuery(endpoint, params), { method: 'GET' });
     }
     
     /**
@@ -144,6 +226,8 @@ const API = (function() {
      * Upload file(s)
      */
     async function uploadFiles(endpoint, files, additionalData = {}) {
+        assertWriteAllowed(endpoint);
+        
         const url = `${CONFIG.API_BASE_URL}${endpoint}`;
         const formData = new FormData();
         
@@ -161,11 +245,7 @@ const API = (function() {
             formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
         });
         
-        const headers = {};
-        const token = Auth.getToken();
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
+        const headers = addAuthHeaders({});
         
         try {
             const response = await fetch(url, {
@@ -183,16 +263,410 @@ const API = (function() {
     }
     
     /**
-     * Download file
+     * Upload file(s) with progress events and cancellation.
+     * Takes the same arguments as uploadFiles plus:
+     *   onProgress(loaded, total) - called as the request body is sent
+     *   signal - AbortSignal; aborting rejects with an AbortError
      */
-    async function downloadFile(endpoint, filename) {
-        const url = `${CONFIG.API_BASE_URL}${endpoint}`;
+    async function uploadWithProgress(endpoint, files, additionalData = {}, options = {}) {
+        assertWriteAllowed(endpoint);
         
-        const headers = {};
-        const token = Auth.getToken();
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
+        let sentToken = null;
+        const send = () => new Promise((resolve, reject) => {
+            const formData = new FormData();
+            
+            if (Array.isArray(files)) {
+                files.forEach((file, index) => {
+                    formData.append(`file_${index}`, file);
+                });
+            } else {
+                formData.append('file', files);
+            }
+            
+            Object.entries(additionalData).forEach(([key, value]) => {
+                formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+            });
+            
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `${CONFIG.API_BASE_URL}${endpoint}`);
+            xhr.withCredentials = true;
+            
+            sentToken = Auth.getToken();
+            Object.entries(addAuthHeaders({})).forEach(([name, value]) => {
+                xhr.setRequestHeader(name, value);
+            });
+            
+            if (options.onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) {
+                        options.onProgress(e.loaded, e.total);
+                    }
+                });
+            }
+            
+            const abort = () => xhr.abort();
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    reject(new DOMException('Upload cancelled', 'AbortError'));
+                    return;
+                }
+                options.signal.addEventListener('abort', abort);
+            }
+            
+            const cleanup = () => {
+                if (options.signal) options.signal.removeEventListener('abort', abort);
+            };
+            
+            xhr.addEventListener('load', () => {
+                cleanup();
+                
+                // Reuse handleResponse so errors look like fetch errors.
+                // Response() rejects a body for null-body statuses like 204.
+                const nullBody = [101, 204, 205, 304].includes(xhr.status);
+                try {
+                    resolve(new Response(nullBody ? null : xhr.response, {
+                        status: xhr.status,
+                        statusText: xhr.statusText,
+                        headers: { 'Content-Type': xhr.getResponseHeader('Content-Type') || '' }
+                    }));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            xhr.addEventListener('error', () => {
+                cleanup();
+                reject(new Error('Network error while uploading'));
+            });
+            xhr.addEventListener('abort', () => {
+                cleanup();
+                reject(new DOMException('Upload cancelled', 'AbortError'));
+            });
+            
+            xhr.send(formData);
+        });
+        
+        try {
+            if (refreshPromise) await refreshPromise;
+            
+            let response = await send();
+            
+            // Handle 401 Unauthorized - the body must be sent again
+            if (response.status === 401) {
+                await recoverFromUnauthorized(sentToken);
+                response = await send();
+            }
+            
+            return handleResponse(response);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('File Upload Error:', error);
+            }
+            throw error;
+        }
+    }
+    
+    // =========================================
+    // Chunked (Resumable) Uploads
+    // =========================================
+    //
+    // Protocol, relative to the upload endpoint:
+    //   POST   {endpoint}/chunked                 start: { filename, size, type, checksum, chunk_size, ...data }
+    //                                             -> { data: { upload_id, offset } }
+    //   GET    {endpoint}/chunked/{id}            status -> { data: { offset } } (404 once expired)
+    //   PUT    {endpoint}/chunked/{id}            raw chunk with Content-Range: bytes start-end/size
+    //                                             -> { data: { offset } } (bytes stored so far)
+    //   POST   {endpoint}/chunked/{id}/complete   { checksum } -> same response as uploadFiles
+    //
+    // checksum is the SHA-256 (hex) of the whole file; the server rejects the
+    // complete call with 422 when the assembled file does not match.
+    
+    const CHUNKED_UPLOADS_KEY = 'hrms_chunked_uploads';
+    const DEMO_CHUNKED_UPLOADS_KEY = 'hrms_demo_chunked_uploads';
+    
+    /**
+     * SHA-256 of a file as a hex string
+     */
+    async function sha256(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+    
+    /**
+     * Remember or forget an unfinished upload so it can be resumed later
+     */
+    function saveChunkedUpload(key, uploadId) {
+        const uploads = Utils.getStorage(CHUNKED_UPLOADS_KEY, {});
+        if (uploadId) {
+            uploads[key] = uploadId;
+        } else {
+            delete uploads[key];
+        }
+        Utils.setStorage(CHUNKED_UPLOADS_KEY, uploads);
+    }
+    
+    /**
+     * Throw an AbortError if the upload was cancelled
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Upload cancelled', 'AbortError');
         }
+    }
+    
+    /**
+     * Send one chunk and return the offset the server has acknowledged
+     */
+    async function sendChunk(endpoint, chunk, start, size, signal) {
+        const send = () => {
+            const headers = {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': `bytes ${start}-${start + chunk.size - 1}/${size}`
+            };
+            addAuthHeaders(headers);
+            
+            return fetch(`${CONFIG.API_BASE_URL}${endpoint}`, {
+                method: 'PUT',
+                headers,
+                body: chunk,
+                credentials: 'include',
+                signal
+            });
+        };
+        
+        if (refreshPromise) await refreshPromise;
+        
+        const sentToken = Auth.getToken();
+        let response = await send();
+        
+        if (response.status === 401) {
+            await recoverFromUnauthorized(sentToken);
+            response = await send();
+        }
+        
+        const result = await handleResponse(response);
+        return result.data.offset;
+    }
+    
+    // The chunked upload endpoints under an upload endpoint
+    const chunkServer = {
+        start: (endpoint, data) => post(`${endpoint}/chunked`, data),
+        status: (endpoint, uploadId) => get(`${endpoint}/chunked/${uploadId}`),
+        send: (endpoint, uploadId, chunk, start, size, signal) => sendChunk(`${endpoint}/chunked/${uploadId}`, chunk, start, size, signal),
+        complete: (endpoint, uploadId, checksum) => post(`${endpoint}/chunked/${uploadId}/complete`, { checksum })
+    };
+    
+    // Local stand-in for the chunk endpoints: open the page with ?uploads=demo
+    // on localhost. It keeps offsets in sessionStorage (so reloading resumes),
+    // drops some chunks like a flaky network (sometimes after storing half of
+    // one) and sometimes acknowledges a chunk without storing it.
+    const demoChunkServer = {
+        load: () => JSON.parse(sessionStorage.getItem(DEMO_CHUNKED_UPLOADS_KEY) || '{}'),
+        save: (uploads) => sessionStorage.setItem(DEMO_CHUNKED_UPLOADS_KEY, JSON.stringify(uploads)),
+        fail: (message, status) => Object.assign(new Error(message), status ? { status } : {}),
+        
+        async start(endpoint, data) {
+            const uploads = this.load();
+            const uploadId = `demo-${Date.now()}`;
+            uploads[uploadId] = { offset: 0, size: data.size };
+            this.save(uploads);
+            return { success: true, data: { upload_id: uploadId, offset: 0 } };
+        },
+        
+        async status(endpoint, uploadId) {
+            const upload = this.load()[uploadId];
+            if (!upload) throw this.fail('Upload not found', 404);
+            return { success: true, data: { offset: upload.offset } };
+        },
+        
+        async send(endpoint, uploadId, chunk, start, size, signal) {
+            await new Promise(resolve => setTimeout(resolve, 300));
+            throwIfAborted(signal);
+            
+            const uploads = this.load();
+            const upload = uploads[uploadId];
+            if (!upload) throw this.fail('Upload not found', 404);
+            if (start !== upload.offset) throw this.fail('Chunk does not start at the stored offset', 409);
+            
+            const roll = Math.random();
+            if (roll < 0.1) {
+                throw new TypeError('Failed to fetch');
+            }
+            if (roll < 0.15) {
+                upload.offset += Math.floor(chunk.size / 2);
+                this.save(uploads);
+                throw new TypeError('Failed to fetch');
+            }
+            if (roll < 0.2) {
+                return upload.offset;
+            }
+            
+            upload.offset = start + chunk.size;
+            this.save(uploads);
+            return upload.offset;
+        },
+        
+        async complete(endpoint, uploadId) {
+            const uploads = this.load();
+            const upload = uploads[uploadId];
+            if (!upload || upload.offset !== upload.size) throw this.fail('Checksum does not match', 422);
+            
+            delete uploads[uploadId];
+            this.save(uploads);
+            return { success: true, message: 'Uploaded (demo)', data: { upload_id: uploadId } };
+        }
+    };
+    
+    /**
+     * Get the chunk endpoints, or the local stand-in in demo mode
+     */
+    function getChunkServer() {
+        return CONFIG.IS_DEVELOPMENT && Utils.getUrlParam('uploads') === 'demo' ? demoChunkServer : chunkServer;
+    }
+    
+    /**
+     * Upload one file in chunks, resuming an earlier attempt when possible
+     */
+    async function uploadFileInChunks(endpoint, file, additionalData, options) {
+        const server = getChunkServer();
+        const chunkSize = options.chunkSize || CONFIG.UPLOAD_CHUNK_SIZE;
+        const signal = options.signal;
+        const report = (offset) => {
+            if (options.onProgress) options.onProgress(offset, file.size);
+        };
+        
+        const checksum = await sha256(file);
+        const key = `${endpoint}|${file.name}|${file.size}|${checksum}`;
+        
+        let uploadId = Utils.getStorage(CHUNKED_UPLOADS_KEY, {})[key];
+        let offset = 0;
+        
+        // Resume from the last chunk the server acknowledged
+        if (uploadId) {
+            try {
+                const status = await server.status(endpoint, uploadId);
+                offset = status.data.offset;
+            } catch (error) {
+                if (error.status !== 404) throw error;
+                uploadId = null;
+            }
+        }
+        
+        if (!uploadId) {
+            const started = await server.start(endpoint, {
+                ...additionalData,
+                filename: file.name,
+                size: file.size,
+                type: file.type,
+                checksum,
+                chunk_size: chunkSize
+            });
+            uploadId = started.data.upload_id;
+            offset = started.data.offset || 0;
+            saveChunkedUpload(key, uploadId);
+        }
+        
+        report(offset);
+        
+        // Attempts since the offset last moved forward. A failed send, a failed
+        // status check and an acknowledgement without progress all count, so
+        // the loop ends even if the server stops advancing.
+        let attempts = 0;
+        let resync = false;
+        
+        while (offset < file.size) {
+            throwIfAborted(signal);
+            
+            try {
+                if (resync) {
+                    // The failed chunk may have been partly stored - ask where to continue
+                    const status = await server.status(endpoint, uploadId);
+                    offset = status.data.offset;
+                    resync = false;
+                    continue;
+                }
+                
+                const start = offset;
+                const chunk = file.slice(start, start + chunkSize);
+                const acknowledged = await server.send(endpoint, uploadId, chunk, start, file.size, signal);
+                
+                if (acknowledged <= start) {
+                    throw new Error('The server did not store the chunk');
+                }
+                
+                offset = acknowledged;
+                attempts = 0;
+                report(offset);
+            } catch (error) {
+                // A 409 means the chunk did not start at the stored offset, which
+                // the resync fixes. Other client errors and cancellation are
+                // final; network and server errors are retried after a pause.
+                const conflict = error.status === 409;
+                const retryable = error.name !== 'AbortError' && (conflict || !(error.status && error.status < 500));
+                if (!retryable || ++attempts > CONFIG.UPLOAD_CHUNK_RETRIES) throw error;
+                
+                if (!conflict) {
+                    await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempts - 1)));
+                }
+                resync = true;
+            }
+        }
+        
+        try {
+            const result = await server.complete(endpoint, uploadId, checksum);
+            saveChunkedUpload(key, null);
+            return result;
+        } catch (error) {
+            // Checksum mismatch - the stored chunks are useless, start over next time
+            if (error.status === 422) saveChunkedUpload(key, null);
+            throw error;
+        }
+    }
+    
+    /**
+     * Upload file(s) in resumable chunks.
+     * Takes the same arguments as uploadFiles plus options:
+     *   onProgress(loaded, total), signal (AbortSignal), chunkSize
+     * An interrupted upload of the same file resumes where it stopped.
+     * Returns the server response, or one response per file for an array.
+     */
+    async function uploadChunked(endpoint, files, additionalData = {}, options = {}) {
+        assertWriteAllowed(endpoint);
+        
+        if (!Array.isArray(files)) {
+            return uploadFileInChunks(endpoint, files, additionalData, options);
+        }
+        
+        const total = files.reduce((sum, file) => sum + file.size, 0);
+        const results = [];
+        let done = 0;
+        
+        for (const [index, file] of files.entries()) {
+            // Each file goes on its own, so it only gets its own candidate entry
+            const fileData = Array.isArray(additionalData.candidates)
+                ? { ...additionalData, candidates: [additionalData.candidates[index]] }
+                : additionalData;
+            
+            results.push(await uploadFileInChunks(endpoint, file, fileData, {
+                ...options,
+                onProgress: (loaded) => {
+                    if (options.onProgress) options.onProgress(done + loaded, total);
+                }
+            }));
+            done += file.size;
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Download file
+     */
+    async function downloadFile(endpoint, filename, params = {}) {
+        const url = `${CONFIG.API_BASE_URL}${withQuery(endpoint, params)}`;
+        
+        const headers = addAuthHeaders({});
         
         try {
             const response = await fetch(url, {
@@ -222,6 +696,275 @@ const API = (function() {
         }
     }
     
+    // =========================================
+    // Realtime Events
+    // =========================================
+    //
+    // Server-Sent Events from GET /events. EventSource cannot send headers, so
+    // the URL carries a short-lived, single-use ticket instead of the access
+    // token: POST /events/ticket -> { data: { ticket } }, requested with the
+    // usual auth headers (so it also covers a "view as user" session). Every
+    // message has an id, an event type and a JSON payload:
+    //   activity        { id, type, description, timestamp }
+    //   stage_change    { candidate_id, from_stage, to_stage }
+    //   walkin_arrival  { candidate_id, name, role, token }
+    //   notification    { id, type, title, message, entity_id, read, created_at }
+    //   permissions_changed  { user_id } (sent to the user whose permissions changed)
+    //
+    // When SSE keeps failing, GET /events/poll?since={last id} is polled
+    // instead -> { data: [{ id, type, payload }] }, and SSE is retried now
+    // and then. Open the dashboard with ?realtime=demo on localhost to get
+    // made-up events without a server.
+    
+    const realtimeListeners = {};
+    const realtimeState = {
+        status: 'offline',
+        source: null,
+        attempt: 0,
+        lastEventId: null,
+        failures: 0,
+        reconnectTimer: null,
+        pollTimer: null,
+        sseRetryTimer: null,
+        demoTimer: null
+    };
+    
+    /**
+     * Subscribe to an event type ('*' for all, 'status' for connection
+     * changes). Returns a function that unsubscribes.
+     */
+    function onRealtime(type, handler) {
+        (realtimeListeners[type] = realtimeListeners[type] || new Set()).add(handler);
+        return () => realtimeListeners[type].delete(handler);
+    }
+    
+    /**
+     * Deliver an event to its listeners. Also used by the demo source, and
+     * handy for trying handlers out from the console.
+     */
+    function emitRealtime(type, payload) {
+        [type, '*'].forEach(key => {
+            (realtimeListeners[key] || []).forEach(handler => {
+                try {
+                    handler(payload, type);
+                } catch (error) {
+                    console.error(`Realtime handler for "${type}" failed:`, error);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Record an event id so polling and reconnects resume after it
+     */
+    function receiveEvent(id, type, payload) {
+        if (id) realtimeState.lastEventId = id;
+        emitRealtime(type, payload);
+    }
+    
+    /**
+     * Update the connection status and tell 'status' listeners
+     */
+    function setRealtimeStatus(status) {
+        if (realtimeState.status === status) return;
+        realtimeState.status = status;
+        emitRealtime('status', status);
+    }
+    
+    /**
+     * Start receiving events. Safe to call again; an open connection is kept.
+     */
+    function connectRealtime() {
+        if (realtimeState.status !== 'offline') return;
+        
+        if (CONFIG.IS_DEVELOPMENT && Utils.getUrlParam('realtime') === 'demo') {
+            startDemoEvents();
+            return;
+        }
+        
+        if (typeof EventSource === 'undefined') {
+            startPolling();
+            return;
+        }
+        
+        openEventSource();
+    }
+    
+    /**
+     * Stop all connections and timers
+     */
+    function disconnectRealtime() {
+        closeEventSource();
+        clearTimeout(realtimeState.reconnectTimer);
+        clearInterval(realtimeState.pollTimer);
+        clearInterval(realtimeState.sseRetryTimer);
+        clearInterval(realtimeState.demoTimer);
+        realtimeState.pollTimer = null;
+        realtimeState.sseRetryTimer = null;
+        realtimeState.failures = 0;
+        setRealtimeStatus('offline');
+    }
+    
+    /**
+     * Open the SSE connection with a fresh stream ticket, resuming after the
+     * last received event
+     */
+    async function openEventSource() {
+        closeEventSource();
+        const attempt = realtimeState.attempt;
+        
+        if (realtimeState.status !== 'polling') setRealtimeStatus('connecting');
+        
+        let ticket;
+        try {
+            const response = await post('/events/ticket');
+            ticket = response.data.ticket;
+        } catch (error) {
+            if (attempt === realtimeState.attempt) handleEventSourceError();
+            return;
+        }
+        
+        // Disconnected, or another connection was started, while waiting
+        if (attempt !== realtimeState.attempt) return;
+        
+        const params = {
+            ticket,
+            last_event_id: realtimeState.lastEventId
+        };
+        const source = new EventSource(`${CONFIG.API_BASE_URL}${withQuery('/events', params)}`, { withCredentials: true });
+        realtimeState.source = source;
+        
+        source.onopen = () => {
+            realtimeState.failures = 0;
+            stopPolling();
+            setRealtimeStatus('live');
+        };
+        
+        ['activity', 'stage_change', 'walkin_arrival', 'notification', 'permissions_changed'].forEach(type => {
+            source.addEventListener(type, (e) => {
+                try {
+                    receiveEvent(e.lastEventId, type, JSON.parse(e.data));
+                } catch (error) {
+                    console.error('Bad realtime event:', e.data);
+                }
+            });
+        });
+        
+        // Reconnect ourselves with backoff (the browser's own retry has no
+        // limit, and would reuse the spent ticket)
+        source.onerror = handleEventSourceError;
+    }
+    
+    /**
+     * Close a failed connection and reconnect with backoff, or poll once
+     * SSE has failed too often
+     */
+    function handleEventSourceError() {
+        closeEventSource();
+        realtimeState.failures++;
+        
+        if (realtimeState.failures >= CONFIG.REALTIME.MAX_SSE_FAILURES) {
+            startPolling();
+            return;
+        }
+        
+        const delay = Math.min(
+            CONFIG.REALTIME.RECONNECT_MIN_DELAY * Math.pow(2, realtimeState.failures - 1),
+            CONFIG.REALTIME.RECONNECT_MAX_DELAY
+        );
+        setRealtimeStatus('connecting');
+        realtimeState.reconnectTimer = setTimeout(openEventSource, delay);
+    }
+    
+    /**
+     * Close the SSE connection if open
+     */
+    function closeEventSource() {
+        // A ticket request still in flight is dropped when it returns
+        realtimeState.attempt++;
+        
+        if (realtimeState.source) {
+            realtimeState.source.close();
+            realtimeState.source = null;
+        }
+    }
+    
+    /**
+     * Fall back to polling, trying SSE again every SSE_RETRY_INTERVAL
+     */
+    function startPolling() {
+        if (realtimeState.pollTimer) return;
+        
+        setRealtimeStatus('polling');
+        pollEvents();
+        realtimeState.pollTimer = setInterval(pollEvents, CONFIG.REALTIME.POLL_INTERVAL);
+        
+        if (typeof EventSource !== 'undefined') {
+            realtimeState.sseRetryTimer = setInterval(() => {
+                realtimeState.failures = CONFIG.REALTIME.MAX_SSE_FAILURES - 1;
+                openEventSource();
+            }, CONFIG.REALTIME.SSE_RETRY_INTERVAL);
+        }
+    }
+    
+    /**
+     * Stop polling once SSE is back
+     */
+    function stopPolling() {
+        clearInterval(realtimeState.pollTimer);
+        clearInterval(realtimeState.sseRetryTimer);
+        realtimeState.pollTimer = null;
+        realtimeState.sseRetryTimer = null;
+    }
+    
+    /**
+     * Fetch events since the last one received
+     */
+    async function pollEvents() {
+        // Nobody is looking; catch up on the next poll
+        if (document.hidden) return;
+        
+        try {
+            const response = await get('/events/poll', { since: realtimeState.lastEventId });
+            (response.data || []).forEach(event => receiveEvent(event.id, event.type, event.payload));
+        } catch (error) {
+            // Keep polling; the next interval tries again
+        }
+    }
+    
+    /**
+     * Local stand-in event source for trying the dashboard without a server
+     */
+    function startDemoEvents() {
+        const names = ['Rahul Sharma', 'Priya Verma', 'Amit Kumar', 'Neha Gupta'];
+        const stages = CONFIG.CANDIDATE_STAGES.filter(stage => stage !== 'Rejected');
+        let id = 0;
+        
+        setRealtimeStatus('live');
+        realtimeState.demoTimer = setInterval(() => {
+            const name = names[Math.floor(Math.random() * names.length)];
+            const role = CONFIG.JOB_ROLES[Math.floor(Math.random() * CONFIG.JOB_ROLES.length)];
+            const from = Math.floor(Math.random() * (stages.length - 1));
+            id++;
+            
+            if (id % 3 === 0) {
+                receiveEvent(`demo-${id}`, 'walkin_arrival', { candidate_id: id, name, role, token: `W-${id}` });
+                receiveEvent(`demo-${id}a`, 'activity', { id: `demo-${id}`, type: 'interview', description: `${name} arrived for the ${role} interview`, timestamp: new Date().toISOString() });
+            } else {
+                receiveEvent(`demo-${id}`, 'stage_change', { candidate_id: id, from_stage: stages[from], to_stage: stages[from + 1] });
+                receiveEvent(`demo-${id}a`, 'activity', { id: `demo-${id}`, type: 'update', description: `${name} moved to ${stages[from + 1]}`, timestamp: new Date().toISOString() });
+            }
+        }, 5000);
+    }
+    
+    const realtime = {
+        connect: connectRealtime,
+        disconnect: disconnectRealtime,
+        on: onRealtime,
+        emit: emitRealtime,
+        getStatus: () => realtimeState.status
+    };
+    
     // =========================================
     // Specific API Endpoints
     // =========================================
@@ -252,6 +995,14 @@ const API = (function() {
         getModules: () => get('/admin/permissions/modules')
     };
     
+    // "View as user" sessions (Admin). The server records and audits them,
+    // enforces read-only mode for requests carrying the session id, and ends
+    // (and audits) expired sessions itself.
+    const impersonation = {
+        start: (data) => post('/admin/impersonation', data),
+        end: (sessionId, reason) => post(`/admin/impersonation/${sessionId}/end`, { reason })
+    };
+    
     // Templates (Admin)
     const templates = {
         getAll: () => get('/admin/templates'),
@@ -259,7 +1010,10 @@ const API = (function() {
         create: (data) => post('/admin/templates', data),
         update: (id, data) => put(`/admin/templates/${id}`, data),
         delete: (id) => del(`/admin/templates/${id}`),
-        getByType: (type) => get(`/admin/templates/type/${type}`)
+        getByType: (type) => get(`/admin/templates/type/${type}`),
+        getVersions: (id) => get(`/admin/templates/${id}/versions`),
+        getVersion: (id, versionId) => get(`/admin/templates/${id}/versions/${versionId}`),
+        restoreVersion: (id, versionId) => post(`/admin/templates/${id}/versions/${versionId}/restore`)
     };
     
     // Settings (Admin)
@@ -287,6 +1041,8 @@ const API = (function() {
         getAll: (params) => get('/hr/candidates', params),
         getById: (id) => get(`/hr/candidates/${id}`),
         uploadCVs: (files, data) => uploadFiles('/hr/cv/upload', files, data),
+        uploadCV: (file, data, options) => uploadWithProgress('/hr/cv/upload', [file], data, options),
+        uploadCVResumable: (file, data, options) => uploadChunked('/hr/cv/upload', file, data, options),
         shortlist: (id, data) => post(`/hr/candidates/${id}/shortlist`, data),
         updateTelephonic: (id, data) => post(`/hr/candidates/${id}/telephonic`, data),
         updateOwnerDiscussion: (id, data) => post(`/hr/candidates/${id}/owner-discussion`, data),
@@ -295,9 +1051,12 @@ const API = (function() {
         updateHRInterview: (id, data) => post(`/hr/candidates/${id}/hr-interview`, data),
         updateTests: (id, data) => post(`/hr/candidates/${id}/tests`, data),
         reject: (id, data) => post(`/hr/candidates/${id}/reject`, data),
+        reassign: (id, requirementId) => patch(`/hr/candidates/${id}/requirement`, { requirement_id: requirementId }),
         getByStage: (stage) => get('/hr/candidates/stage', { stage }),
         getByRequirement: (reqId) => get(`/hr/candidates/requirement/${reqId}`),
-        generateMessage: (id, type) => get(`/hr/candidates/${id}/message`, { type })
+        findDuplicates: (candidates) => post('/hr/candidates/duplicates', { candidates }),
+        generateMessage: (id, type) => get(`/hr/candidates/${id}/message`, { type }),
+        addTimelineEvent: (id, data) => post(`/hr/candidates/${id}/timeline`, data)
     };
     
     // Walk-in Candidate Form
@@ -305,15 +1064,24 @@ const API = (function() {
         submitForm: (data) => post('/candidate/walkin-form', data),
         getMathQuestion: () => get('/candidate/math-question'),
         verifyMathAnswer: (data) => post('/candidate/verify-math', data),
-        getAvailableSlots: (date) => get('/candidate/available-slots', { date })
+        getAvailableSlots: (date) => get('/candidate/available-slots', { date }),
+        checkDuplicate: (data) => post('/candidate/check-duplicate', data)
     };
     
     // Dashboard
     const dashboard = {
-        getStats: () => get('/dashboard/stats'),
-        getRecentActivity: (limit) => get('/dashboard/recent-activity', { limit }),
-        getPipelineData: () => get('/dashboard/pipeline'),
-        getUpcomingInterviews: (days) => get('/dashboard/upcoming-interviews', { days })
+        getStats: (filters) => get('/dashboard/stats', filters),
+        getRecentActivity: (limit, filters) => get('/dashboard/recent-activity', { ...filters, limit }),
+        getPipelineData: (filters) => get('/dashboard/pipeline', filters),
+        getFunnel: (filters) => get('/dashboard/funnel', filters),
+        getUpcomingInterviews: (days, filters) => get('/dashboard/upcoming-interviews', { ...filters, days })
+    };
+    
+    // Notifications
+    const notifications = {
+        getAll: (params) => get('/notifications', params),
+        markRead: (id) => patch(`/notifications/${id}/read`),
+        markAllRead: () => post('/notifications/read-all')
     };
     
     // Reports
@@ -321,7 +1089,7 @@ const API = (function() {
         getHiringReport: (params) => get('/reports/hiring', params),
         getSourceAnalysis: (params) => get('/reports/source-analysis', params),
         getTimeToHire: (params) => get('/reports/time-to-hire', params),
-        exportReport: (type, params) => downloadFile(`/reports/${type}/export`, `${type}_report.xlsx`)
+        exportReport: (type, params) => downloadFile(`/reports/${type}/export`, `${type}_report.xlsx`, params)
     };
     
     // Public API
@@ -333,11 +1101,14 @@ const API = (function() {
         patch,
         delete: del,
         uploadFiles,
+        uploadWithProgress,
+        uploadChunked,
         downloadFile,
         
         // Specific endpoints
         auth,
         users,
+        impersonation,
         permissions,
         templates,
         settings,
@@ -345,7 +1116,11 @@ const API = (function() {
         candidates,
         walkin,
         dashboard,
-        reports
+        notifications,
+        reports,
+        
+        // Live updates
+        realtime
     };
 })();
 
@@ -7,7 +7,7 @@ const Auth = (function() {
     'use strict';
     
     let currentUser = null;
-    let tokenRefreshTimer = null;
+    let sessionTimer = null;
     
     /**
      * Initialize Google OAuth
@@ -71,14 +71,14 @@ const Auth = (function() {
             
             if (result.success) {
                 // Store token and user info
+                sessionStorage.removeItem(IMPERSONATION_KEY);
                 setToken(result.data.token);
                 setUser(result.data.user);
+                localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()));
+                broadcastSession('login');
                 
-                // Start token refresh timer
-                startTokenRefresh();
-                
-                // Redirect to dashboard
-                window.location.href = CONFIG.ROUTES.DASHBOARD;
+                // Back to the page that asked for login, or the dashboard
+                window.location.href = takeReturnUrl() || CONFIG.ROUTES.DASHBOARD;
             } else {
                 hideLoadingOverlay();
                 Utils.showToast(result.message || 'Login failed', 'error');
@@ -102,6 +102,7 @@ const Auth = (function() {
      */
     function setToken(token) {
         localStorage.setItem(CONFIG.TOKEN_KEY, token);
+        localStorage.setItem(TOKEN_SET_AT_KEY, String(Date.now()));
     }
     
     /**
@@ -109,12 +110,22 @@ const Auth = (function() {
      */
     function removeToken() {
         localStorage.removeItem(CONFIG.TOKEN_KEY);
+        localStorage.removeItem(TOKEN_SET_AT_KEY);
     }
     
     /**
-     * Get stored user
+     * Get the user the UI is shown for: the impersonated user while an admin
+     * is viewing as someone, otherwise the signed-in user
      */
     function getUser() {
+        const impersonation = getImpersonation();
+        return impersonation ? impersonation.user : getRealUser();
+    }
+    
+    /**
+     * Get the signed-in user from storage
+     */
+    function getRealUser() {
         if (currentUser) return currentUser;
         
         const userStr = localStorage.getItem(CONFIG.USER_KEY);
@@ -150,7 +161,7 @@ const Auth = (function() {
      */
     function isAuthenticated() {
         const token = getToken();
-        const user = getUser();
+        const user = getRealUser();
         return !!(token && user);
     }
     
@@ -172,52 +183,74 @@ const Auth = (function() {
     }
     
     /**
-     * Refresh token
+     * Refresh token. Refreshes in all tabs run one at a time (refresh tokens
+     * rotate, so a second refresh with the old token would fail); one that
+     * waited while another tab refreshed uses that tab's token instead.
      */
     async function refreshToken() {
-        try {
-            const result = await API.post('/auth/refresh-token');
-            if (result.success) {
-                setToken(result.data.token);
-                return true;
+        const staleToken = getToken();
+        
+        return withRefreshLock(async () => {
+            const currentToken = getToken();
+            if (currentToken !== staleToken) return !!currentToken;
+            
+            try {
+                const result = await API.post('/auth/refresh-token');
+                if (result.success) {
+                    setToken(result.data.token);
+                    broadcastSession('token');
+                    return true;
+                }
+                return false;
+            } catch (error) {
+                console.error('Token refresh error:', error);
+                return false;
             }
-            return false;
-        } catch (error) {
-            console.error('Token refresh error:', error);
-            return false;
-        }
+        });
     }
     
     /**
-     * Start token refresh timer
+     * Start session checks: token refresh (in one tab only) and idle timeout
      */
     function startTokenRefresh() {
-        if (tokenRefreshTimer) {
-            clearInterval(tokenRefreshTimer);
+        if (sessionTimer) return;
+        
+        if (!localStorage.getItem(TOKEN_SET_AT_KEY)) {
+            localStorage.setItem(TOKEN_SET_AT_KEY, String(Date.now()));
+        }
+        if (!localStorage.getItem(LAST_ACTIVITY_KEY)) {
+            localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()));
         }
         
-        tokenRefreshTimer = setInterval(async () => {
-            if (isAuthenticated() && !isTokenExpired()) {
-                await refreshToken();
-            }
-        }, CONFIG.TOKEN_REFRESH_INTERVAL);
+        ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, recordActivity, { passive: true }));
+        window.addEventListener('pagehide', releaseRefreshLease);
+        
+        sessionTimer = setInterval(checkSession, SESSION_CHECK_INTERVAL);
+        checkSession();
     }
     
     /**
-     * Stop token refresh timer
+     * Stop session checks
      */
     function stopTokenRefresh() {
-        if (tokenRefreshTimer) {
-            clearInterval(tokenRefreshTimer);
-            tokenRefreshTimer = null;
+        if (sessionTimer) {
+            clearInterval(sessionTimer);
+            sessionTimer = null;
         }
+        
+        ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, recordActivity));
+        window.removeEventListener('pagehide', releaseRefreshLease);
+        releaseRefreshLease();
+        hideIdleWarning();
     }
     
     /**
-     * Logout user
+     * Logout user. With returnToPage (the session expired rather than the
+     * user signing out) login sends them back to the current page.
      */
-    async function logout() {
+    async function logout({ returnToPage = false } = {}) {
         try {
+            await endImpersonation('logout');
             await API.post('/auth/logout');
         } catch (error) {
             console.error('Logout error:', error);
@@ -225,7 +258,9 @@ const Auth = (function() {
             // Clear local storage
             removeToken();
             removeUser();
+            localStorage.removeItem(LAST_ACTIVITY_KEY);
             stopTokenRefresh();
+            broadcastSession('logout');
             
             // Revoke Google token if available
             if (typeof google !== 'undefined') {
@@ -233,7 +268,11 @@ const Auth = (function() {
             }
             
             // Redirect to login
-            window.location.href = CONFIG.ROUTES.LOGIN;
+            if (returnToPage) {
+                redirectToLogin();
+            } else {
+                window.location.href = CONFIG.ROUTES.LOGIN;
+            }
         }
     }
     
@@ -273,12 +312,69 @@ const Auth = (function() {
      */
     function requireAuth() {
         if (!isAuthenticated() || isTokenExpired()) {
-            window.location.href = CONFIG.ROUTES.LOGIN;
+            redirectToLogin();
             return false;
         }
+        
+        startTokenRefresh();
         return true;
     }
     
+    // =========================================
+    // Return URL
+    // =========================================
+    //
+    // The page that sent the user to login travels as ?redirect= on the login
+    // URL, with a sessionStorage copy in case the sign-in flow drops it.
+    
+    const RETURN_URL_PARAM = 'redirect';
+    const RETURN_URL_KEY = 'hrms_return_url';
+    
+    /**
+     * Send the user to login, remembering the current page (with query and hash)
+     */
+    function redirectToLogin() {
+        const returnUrl = window.location.pathname + window.location.search + window.location.hash;
+        
+        if (sanitizeReturnUrl(returnUrl)) {
+            sessionStorage.setItem(RETURN_URL_KEY, returnUrl);
+            window.location.href = `${CONFIG.ROUTES.LOGIN}?${RETURN_URL_PARAM}=${encodeURIComponent(returnUrl)}`;
+        } else {
+            window.location.href = CONFIG.ROUTES.LOGIN;
+        }
+    }
+    
+    /**
+     * Return a same-origin path (path + query + hash) or null. Rejects other
+     * origins, protocol-relative and non-http URLs, and the login page itself.
+     */
+    function sanitizeReturnUrl(value) {
+        if (!value || typeof value !== 'string' || !value.startsWith('/')) return null;
+        
+        let url;
+        try {
+            url = new URL(value, window.location.origin);
+        } catch (e) {
+            return null;
+        }
+        
+        if (url.origin !== window.location.origin) return null;
+        if (url.pathname === CONFIG.ROUTES.LOGIN || url.pathname === '/') return null;
+        
+        return url.pathname + url.search + url.hash;
+    }
+    
+    /**
+     * Get the remembered page after login and forget it
+     */
+    function takeReturnUrl() {
+        const param = new URLSearchParams(window.location.search).get(RETURN_URL_PARAM);
+        const stored = sessionStorage.getItem(RETURN_URL_KEY);
+        sessionStorage.removeItem(RETURN_URL_KEY);
+        
+        return sanitizeReturnUrl(param) || sanitizeReturnUrl(stored);
+    }
+    
     /**
      * Require specific role
      */
@@ -338,6 +434,457 @@ const Auth = (function() {
         }
     }
     
+    // =========================================
+    // Session Coordination
+    // =========================================
+    //
+    // All tabs share one session through localStorage. Login, logout and
+    // token refreshes are announced to the other tabs (BroadcastChannel, or
+    // storage events where it is missing). Idle time counts activity in any
+    // tab, and only the tab holding the refresh lease refreshes the token on
+    // schedule. The refresh itself runs under a cross-tab lock (Web Locks, or
+    // a confirmed localStorage claim where they are missing), so a lease
+    // taken by two tabs at once, or a refresh after a 401, never overlaps.
+    
+    const SESSION_CHANNEL = 'hrms_session';
+    const SESSION_EVENT_KEY = 'hrms_session_event';
+    const LAST_ACTIVITY_KEY = 'hrms_last_activity';
+    const TOKEN_SET_AT_KEY = 'hrms_token_set_at';
+    const REFRESH_LEASE_KEY = 'hrms_refresh_lease';
+    const REFRESH_LOCK = 'hrms_token_refresh';
+    
+    const SESSION_CHECK_INTERVAL = 5000;
+    const REFRESH_LEASE_TIME = 15000; // A closed leader tab is replaced after this
+    const REFRESH_LOCK_TIME = 15000; // Fallback lock of a tab that closed mid-refresh
+    const REFRESH_LOCK_SETTLE = 100; // Time for a competing claim to land
+    const ACTIVITY_SAVE_INTERVAL = 10000;
+    const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+    
+    const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    let sessionChannel = null;
+    let lastActivitySaved = 0;
+    let idleWarning = null;
+    
+    /**
+     * Listen for session events from other tabs
+     */
+    function setupSessionSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            sessionChannel = new BroadcastChannel(SESSION_CHANNEL);
+            sessionChannel.onmessage = (e) => handleSessionEvent(e.data);
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === SESSION_EVENT_KEY && e.newValue) {
+                    handleSessionEvent(JSON.parse(e.newValue));
+                }
+            });
+        }
+        
+        // Another tab stored a new user object (e.g. changed permissions)
+        window.addEventListener('storage', (e) => {
+            if (e.key === CONFIG.USER_KEY) currentUser = null;
+        });
+    }
+    
+    /**
+     * Tell the other tabs about a session change ('login', 'logout', 'token', 'activity')
+     */
+    function broadcastSession(type) {
+        const event = { type, tabId, at: Date.now() };
+        
+        if (sessionChannel) {
+            sessionChannel.postMessage(event);
+        } else {
+            localStorage.setItem(SESSION_EVENT_KEY, JSON.stringify(event));
+        }
+    }
+    
+    /**
+     * React to a session change in another tab
+     */
+    function handleSessionEvent(event) {
+        if (!event || event.tabId === tabId) return;
+        
+        const onLoginPage = window.location.pathname === CONFIG.ROUTES.LOGIN || window.location.pathname === '/';
+        
+        switch (event.type) {
+            case 'logout':
+                currentUser = null;
+                sessionStorage.removeItem(IMPERSONATION_KEY);
+                stopTokenRefresh();
+                if (!onLoginPage) {
+                    window.location.href = CONFIG.ROUTES.LOGIN;
+                }
+                break;
+            
+            case 'login': {
+                const previousUser = currentUser;
+                currentUser = null;
+                const user = getRealUser();
+                
+                if (onLoginPage) {
+                    window.location.href = takeReturnUrl() || CONFIG.ROUTES.DASHBOARD;
+                } else if (previousUser && user && previousUser.id !== user.id) {
+                    // Someone else signed in; this page shows the old user's data
+                    window.location.reload();
+                }
+                break;
+            }
+            
+            case 'activity':
+                hideIdleWarning();
+                break;
+            
+            // 'token': the new token is in localStorage and is used by the next request
+        }
+    }
+    
+    /**
+     * Record user activity, shared with the other tabs
+     */
+    function recordActivity() {
+        // While warning, only the "Stay signed in" button counts
+        if (idleWarning) return;
+        
+        const now = Date.now();
+        if (now - lastActivitySaved < ACTIVITY_SAVE_INTERVAL) return;
+        
+        lastActivitySaved = now;
+        localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+        broadcastSession('activity');
+    }
+    
+    /**
+     * Time since the last activity in any tab
+     */
+    function getIdleTime() {
+        const lastActivity = parseInt(localStorage.getItem(LAST_ACTIVITY_KEY), 10);
+        return lastActivity ? Date.now() - lastActivity : 0;
+    }
+    
+    /**
+     * Take or renew the refresh lease if it is free, expired or ours
+     */
+    function claimRefreshLease() {
+        const now = Date.now();
+        let lease = null;
+        
+        try {
+            lease = JSON.parse(localStorage.getItem(REFRESH_LEASE_KEY));
+        } catch (e) {
+            lease = null;
+        }
+        
+        if (!lease || lease.tabId === tabId || lease.expires < now) {
+            localStorage.setItem(REFRESH_LEASE_KEY, JSON.stringify({ tabId, expires: now + REFRESH_LEASE_TIME }));
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Give up the refresh lease so another tab takes over at once
+     */
+    function releaseRefreshLease() {
+        try {
+            const lease = JSON.parse(localStorage.getItem(REFRESH_LEASE_KEY));
+            if (lease && lease.tabId === tabId) {
+                localStorage.removeItem(REFRESH_LEASE_KEY);
+            }
+        } catch (e) {
+            localStorage.removeItem(REFRESH_LEASE_KEY);
+        }
+    }
+    
+    /**
+     * Run a task while holding the cross-tab refresh lock
+     */
+    async function withRefreshLock(task) {
+        if (navigator.locks) {
+            return navigator.locks.request(REFRESH_LOCK, task);
+        }
+        
+        // Without Web Locks: claim the lock, give a competing claim time to
+        // land, and only go ahead if ours is still the one stored
+        const wait = () => new Promise(resolve => setTimeout(resolve, REFRESH_LOCK_SETTLE));
+        
+        for (;;) {
+            let lock = null;
+            try {
+                lock = JSON.parse(localStorage.getItem(REFRESH_LOCK));
+            } catch (e) {
+                lock = null;
+            }
+            
+            if (!lock || lock.expires < Date.now()) {
+                const claim = `${tabId}-${Math.random().toString(36).slice(2)}`;
+                localStorage.setItem(REFRESH_LOCK, JSON.stringify({ claim, expires: Date.now() + REFRESH_LOCK_TIME }));
+                await wait();
+                
+                const stored = JSON.parse(localStorage.getItem(REFRESH_LOCK) || 'null');
+                if (stored && stored.claim === claim) {
+                    try {
+                        return await task();
+                    } finally {
+                        localStorage.removeItem(REFRESH_LOCK);
+                    }
+                }
+            }
+            
+            await wait();
+        }
+    }
+    
+    /**
+     * Periodic session check: token refresh (lease holder only) and idle timeout
+     */
+    async function checkSession() {
+        if (!isAuthenticated()) return;
+        
+        const idleTime = getIdleTime();
+        
+        if (idleTime >= CONFIG.SESSION_TIMEOUT) {
+            stopTokenRefresh();
+            logout();
+            return;
+        }
+        
+        if (idleTime >= CONFIG.SESSION_TIMEOUT - CONFIG.IDLE_WARNING_TIME) {
+            showIdleWarning();
+        } else {
+            hideIdleWarning();
+        }
+        
+        if (claimRefreshLease()) {
+            const tokenSetAt = parseInt(localStorage.getItem(TOKEN_SET_AT_KEY), 10) || 0;
+            if (Date.now() - tokenSetAt >= CONFIG.TOKEN_REFRESH_INTERVAL && !isTokenExpired()) {
+                await refreshToken();
+            }
+        }
+    }
+    
+    /**
+     * Show the countdown before automatic logout
+     */
+    function showIdleWarning() {
+        if (idleWarning) return;
+        
+        const modal = document.createElement('div');
+        modal.id = 'idle-warning-modal';
+        modal.className = 'modal modal-sm active';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">Are you still there?</h3>
+                </div>
+                <div class="modal-body">
+                    <p>You have been inactive for a while. For your security you will be signed out in
+                    <strong class="idle-countdown"></strong> seconds.</p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-idle-action="logout">Sign out</button>
+                    <button type="button" class="btn btn-primary" data-idle-action="stay">Stay signed in</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        document.body.classList.add('modal-open');
+        
+        modal.querySelector('[data-idle-action="logout"]').addEventListener('click', () => logout());
+        modal.querySelector('[data-idle-action="stay"]').addEventListener('click', () => {
+            hideIdleWarning();
+            lastActivitySaved = 0;
+            recordActivity();
+        });
+        
+        const updateCountdown = () => {
+            const remaining = Math.max(0, Math.ceil((CONFIG.SESSION_TIMEOUT - getIdleTime()) / 1000));
+            modal.querySelector('.idle-countdown').textContent = remaining;
+            
+            if (remaining === 0) {
+                stopTokenRefresh();
+                logout();
+            }
+        };
+        
+        idleWarning = { modal, timer: setInterval(updateCountdown, 1000) };
+        updateCountdown();
+    }
+    
+    /**
+     * Close the idle countdown
+     */
+    function hideIdleWarning() {
+        if (!idleWarning) return;
+        
+        clearInterval(idleWarning.timer);
+        idleWarning.modal.remove();
+        document.body.classList.remove('modal-open');
+        idleWarning = null;
+    }
+    
+    // =========================================
+    // Impersonation ("View as user")
+    // =========================================
+    //
+    // An admin can see the app as another user: getUser() returns that user's
+    // role and permissions, so every role and permission check follows. The
+    // session lives on the server (API.impersonation), which audits its start
+    // and end, enforces read-only mode and ends it after
+    // CONFIG.IMPERSONATION_DURATION even if this tab is closed. The tab keeps
+    // the session id and sends it with every request.
+    
+    const IMPERSONATION_KEY = 'hrms_impersonation';
+    
+    let impersonationTimer = null;
+    
+    /**
+     * Read the stored impersonation, if it belongs to the signed-in admin
+     */
+    function readImpersonation() {
+        let record = null;
+        try {
+            record = JSON.parse(sessionStorage.getItem(IMPERSONATION_KEY));
+        } catch (e) {
+            return null;
+        }
+        
+        const admin = getRealUser();
+        if (!record || !admin || record.admin_id !== admin.id) return null;
+        return record;
+    }
+    
+    /**
+     * Get the running impersonation
+     * ({ session_id, user, admin_id, started_at, expires_at, allow_writes }) or null
+     */
+    function getImpersonation() {
+        const record = readImpersonation();
+        return record && record.expires_at > Date.now() ? record : null;
+    }
+    
+    /**
+     * Check if an admin is viewing as another user
+     */
+    function isImpersonating() {
+        return !!getImpersonation();
+    }
+    
+    /**
+     * Start a server-side session viewing as a user. The server returns the
+     * user's role and permissions and the session's expiry.
+     */
+    async function startImpersonation(user, options = {}) {
+        const admin = getRealUser();
+        
+        if (!admin || admin.role !== CONFIG.ROLES.ADMIN) {
+            throw new Error('Only admins can view as another user');
+        }
+        if (user.id === admin.id || user.role === CONFIG.ROLES.ADMIN) {
+            throw new Error('Admins can only view as non-admin users');
+        }
+        
+        const response = await API.impersonation.start({
+            user_id: user.id,
+            allow_writes: !!options.allowWrites,
+            duration_minutes: Math.round(CONFIG.IMPERSONATION_DURATION / 60000)
+        });
+        const session = response.data;
+        
+        const record = {
+            session_id: session.id,
+            user: session.user,
+            admin_id: admin.id,
+            started_at: Date.now(),
+            expires_at: new Date(session.expires_at).getTime(),
+            allow_writes: !!session.allow_writes
+        };
+        
+        sessionStorage.setItem(IMPERSONATION_KEY, JSON.stringify(record));
+        window.location.href = CONFIG.ROUTES.DASHBOARD;
+    }
+    
+    /**
+     * Clear the impersonation and end it on the server ('manual', 'expired'
+     * or 'logout'). If that call fails the server still ends the session when
+     * it expires.
+     */
+    async function endImpersonation(reason) {
+        const record = readImpersonation();
+        sessionStorage.removeItem(IMPERSONATION_KEY);
+        
+        if (impersonationTimer) {
+            clearInterval(impersonationTimer);
+            impersonationTimer = null;
+        }
+        
+        if (!record) return;
+        
+        try {
+            await API.impersonation.end(record.session_id, reason);
+        } catch (error) {
+            console.error('Failed to end impersonation session:', error);
+        }
+    }
+    
+    /**
+     * Stop viewing as a user and go back to user management
+     */
+    async function stopImpersonation(reason = 'manual') {
+        showLoadingOverlay('Returning to your account...');
+        await endImpersonation(reason);
+        window.location.href = CONFIG.ROUTES.ADMIN_USERS;
+    }
+    
+    /**
+     * Show the impersonation banner with the time left, on every page
+     */
+    function setupImpersonationBanner() {
+        const record = readImpersonation();
+        if (!record) return;
+        
+        if (record.expires_at <= Date.now()) {
+            stopImpersonation('expired');
+            return;
+        }
+        
+        const banner = document.createElement('div');
+        banner.className = 'impersonation-banner';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <i class="fas fa-user-secret"></i>
+            <span class="impersonation-text">
+                Viewing as <strong class="impersonation-name"></strong>
+                <span class="impersonation-role"></span>
+                &middot; ${record.allow_writes ? 'changes are saved' : 'read-only'}
+                &middot; <span class="impersonation-countdown"></span> left
+            </span>
+            <button type="button" class="btn btn-sm btn-secondary">Stop viewing</button>
+        `;
+        banner.querySelector('.impersonation-name').textContent = record.user.name;
+        banner.querySelector('.impersonation-role').textContent = `(${record.user.role})`;
+        banner.querySelector('button').addEventListener('click', () => stopImpersonation('manual'));
+        
+        document.body.prepend(banner);
+        document.body.classList.add('impersonating');
+        
+        const updateCountdown = () => {
+            const remaining = Math.max(0, Math.ceil((record.expires_at - Date.now()) / 1000));
+            const minutes = Math.floor(remaining / 60);
+            const seconds = String(remaining % 60).padStart(2, '0');
+            banner.querySelector('.impersonation-countdown').textContent = `${minutes}:${seconds}`;
+            
+            if (remaining === 0) {
+                stopImpersonation('expired');
+            }
+        };
+        
+        impersonationTimer = setInterval(updateCountdown, 1000);
+        updateCountdown();
+    }
+    
     /**
      * Initialize authentication state
      */
@@ -352,7 +899,7 @@ const Auth = (function() {
         if (isAuthenticated() && isTokenExpired()) {
             const refreshed = await refreshToken();
             if (!refreshed) {
-                logout();
+                logout({ returnToPage: true });
                 return false;
             }
             startTokenRefresh();
@@ -362,6 +909,9 @@ const Auth = (function() {
         return false;
     }
     
+    setupSessionSync();
+    document.addEventListener('DOMContentLoaded', setupImpersonationBanner);
+    
     // Public API
     return {
         init,
@@ -369,6 +919,7 @@ const Auth = (function() {
         handleGoogleCallback,
         getToken,
         getUser,
+        getRealUser,
         setUser,
         isAuthenticated,
         isTokenExpired,
@@ -379,6 +930,10 @@ const Auth = (function() {
         requireAuth,
         requireRole,
         guardRoute,
+        getImpersonation,
+        isImpersonating,
+        startImpersonation,
+        stopImpersonation,
         showLoadingOverlay,
         hideLoadingOverlay
     };
@@ -453,10 +453,16 @@ const Candidate = (function() {
             candidateData = { ...candidateData, ...formData };
         }
         
+        const proceed = await checkWalkinDuplicate();
+        if (!proceed) return;
+        
         try {
             Auth.showLoadingOverlay('Submitting your information...');
             
-            await API.walkin.submitForm(candidateData);
+            const response = await API.walkin.submitForm(candidateData);
+            
+            // Token issued by the server; HR matches it when marking arrival
+            candidateData.token = response.data && response.data.token;
             
             // Stop camera
             stopCamera();
@@ -471,6 +477,84 @@ const Candidate = (function() {
         }
     }
     
+    /**
+     * Check for an earlier application with the same details and ask how to
+     * continue. Returns false when the submission should not go ahead.
+     *
+     * HR staff at the desk see the matching candidates and may attach the
+     * form to one. A public visitor is only told that the mobile or email is
+     * already registered; which record it belongs to is decided by the server.
+     */
+    async function checkWalkinDuplicate() {
+        delete candidateData.duplicate_action;
+        delete candidateData.existing_candidate_id;
+        
+        if (!Auth.isAuthenticated()) {
+            return checkPublicWalkinDuplicate();
+        }
+        
+        let matches;
+        
+        try {
+            Auth.showLoadingOverlay('Checking your details...');
+            [matches] = await Duplicates.findForCandidates([{
+                name: candidateData.full_name,
+                mobile: candidateData.mobile,
+                email: candidateData.email
+            }]);
+            Auth.hideLoadingOverlay();
+        } catch (error) {
+            // The server still de-duplicates; don't block the candidate
+            Auth.hideLoadingOverlay();
+            return true;
+        }
+        
+        if (matches.length === 0) return true;
+        
+        const choice = await Duplicates.resolve({ name: candidateData.full_name }, matches);
+        
+        if (choice.action === 'skip') {
+            Utils.showToast('Submission cancelled', 'info');
+            return false;
+        }
+        
+        candidateData.duplicate_action = choice.action;
+        candidateData.existing_candidate_id = choice.candidateId;
+        return true;
+    }
+    
+    /**
+     * Tell a public visitor their details are already registered and let
+     * them submit anyway or cancel
+     */
+    async function checkPublicWalkinDuplicate() {
+        let registered;
+        
+        try {
+            Auth.showLoadingOverlay('Checking your details...');
+            registered = await Duplicates.isRegistered({
+                mobile: candidateData.mobile,
+                email: candidateData.email
+            });
+            Auth.hideLoadingOverlay();
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            return true;
+        }
+        
+        if (!registered) return true;
+        
+        const confirmed = await Utils.confirm(
+            'We already have an application with this mobile number or email. Submit this form anyway? Our HR team will link it to your earlier application.',
+            'Already Registered'
+        );
+        
+        if (!confirmed) {
+            Utils.showToast('Submission cancelled', 'info');
+        }
+        return confirmed;
+    }
+    
     /**
      * Show success message after form submission
      */
@@ -485,10 +569,12 @@ const Candidate = (function() {
                     <h2>Thank You!</h2>
                     <p>Your information has been submitted successfully.</p>
                     <p>Please wait for your turn. Our HR team will call you shortly.</p>
-                    <div class="token-number">
-                        <span>Your Token Number</span>
-                        <strong>${candidateData.token || 'W-' + Utils.randomNumber(100, 999)}</strong>
-                    </div>
+                    ${candidateData.token ? `
+                        <div class="token-number">
+                            <span>Your Token Number</span>
+                            <strong>${Utils.escapeHtml(candidateData.token)}</strong>
+                        </div>
+                    ` : '<p>Please share your mobile number at the HR desk.</p>'}
                 </div>
             `;
         }
@@ -17,6 +17,8 @@ const CONFIG = {
     // Session Settings
     SESSION_TIMEOUT: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
     TOKEN_REFRESH_INTERVAL: 55 * 60 * 1000, // 55 minutes
+    IDLE_WARNING_TIME: 60 * 1000, // Countdown shown before an idle logout
+    IMPERSONATION_DURATION: 30 * 60 * 1000, // Admin "view as user" sessions end after 30 minutes
     
     // Routes
     ROUTES: {
@@ -34,10 +36,13 @@ const CONFIG = {
         HR_WALKINS: '/pages/hr/walk-ins.html',
         HR_INTERVIEW: '/pages/hr/hr-interview.html',
         HR_TESTS: '/pages/hr/tests.html',
+        HR_PIPELINE: '/pages/hr/pipeline.html',
+        REPORTS: '/pages/reports.html',
         ADMIN_USERS: '/pages/admin/users.html',
         ADMIN_PERMISSIONS: '/pages/admin/permissions.html',
         ADMIN_TEMPLATES: '/pages/admin/templates.html',
         ADMIN_SETTINGS: '/pages/admin/settings.html',
+        ADMIN_AUDIT_LOGS: '/pages/admin/audit-logs.html',
         CANDIDATE_FORM: '/pages/candidate-form.html'
     },
     
@@ -82,6 +87,13 @@ const CONFIG = {
         'Rejected'
     ],
     
+    // Shortlisting Decisions
+    SHORTLIST_DECISIONS: [
+        'Shortlisted',
+        'Hold',
+        'Rejected'
+    ],
+    
     // Telephonic Call Statuses
     TELEPHONIC_STATUSES: [
         'Pending',
@@ -109,6 +121,19 @@ const CONFIG = {
         'Rejected'
     ],
     
+    // Interview calendar - working hours and slot length
+    INTERVIEW_HOURS: {
+        START: '10:00',
+        END: '18:00',
+        SLOT_MINUTES: 30
+    },
+    
+    // Walk-in Attendance
+    WALKIN_STATUSES: [
+        'Arrived',
+        'No Show'
+    ],
+    
     // Rejection Tags
     REJECTION_TAGS: [
         'Shortlisting',
@@ -124,6 +149,16 @@ const CONFIG = {
     MAX_FILE_SIZE: 5 * 1024 * 1024, // 5 MB
     ALLOWED_CV_EXTENSIONS: ['.pdf', '.doc', '.docx'],
     ALLOWED_IMAGE_EXTENSIONS: ['.png', '.jpg', '.jpeg', '.gif'],
+    UPLOAD_CONCURRENCY: 3, // Files uploaded in parallel
+    UPLOAD_CHUNK_SIZE: 512 * 1024, // 512 KB per chunk for resumable uploads
+    UPLOAD_CHUNK_RETRIES: 3, // Retries per chunk before giving up
+    
+    // CV text extraction libraries (loaded on demand)
+    RESUME_PARSER_LIBS: {
+        PDFJS: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+        PDFJS_WORKER: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+        MAMMOTH: 'https://cdnjs.cloudflare.com/ajax/libs/mammoth/1.6.0/mammoth.browser.min.js'
+    },
     
     // Date Formats
     DATE_FORMAT: 'YYYY-MM-DD',
@@ -139,12 +174,40 @@ const CONFIG = {
         EMAIL: 'hr@ntwoods.com'
     },
     
+    // Country calling code for WhatsApp/SMS links (without +)
+    PHONE_COUNTRY_CODE: '91',
+    
+    // Company time zone, used in calendar invites (India has no daylight saving)
+    TIMEZONE: {
+        ID: 'Asia/Kolkata',
+        OFFSET: '+0530',
+        NAME: 'IST'
+    },
+    
+    // Live dashboard updates (SSE, with polling as the fallback)
+    REALTIME: {
+        RECONNECT_MIN_DELAY: 1000,
+        RECONNECT_MAX_DELAY: 30000,
+        MAX_SSE_FAILURES: 3, // Consecutive failures before falling back to polling
+        POLL_INTERVAL: 15000,
+        SSE_RETRY_INTERVAL: 5 * 60 * 1000
+    },
+    
     // Toast Notification Duration
     TOAST_DURATION: 3000,
     
     // Pagination
     DEFAULT_PAGE_SIZE: 10,
-    PAGE_SIZE_OPTIONS: [10, 25, 50, 100]
+    PAGE_SIZE_OPTIONS: [10, 25, 50, 100],
+    
+    // Permission modules the pages check (data-permission="module:action" and
+    // Auth.hasPermission). Must match the module keys from /admin/permissions/modules.
+    PERMISSION_MODULES: ['candidates', 'requirements'],
+    PERMISSIONS_REFRESH_INTERVAL: 5 * 60 * 1000, // Profile re-check on pages without realtime
+    
+    // Audit Log Filters
+    AUDIT_ENTITY_TYPES: ['candidate', 'requirement', 'interview', 'user', 'permission', 'template', 'settings'],
+    AUDIT_ACTIONS: ['create', 'update', 'delete', 'approve', 'reject', 'restore', 'login', 'logout', 'impersonation_start', 'impersonation_end']
 };
 
 // Make CONFIG globally available
@@ -166,3 +229,8 @@ Object.freeze(CONFIG);
 Object.freeze(CONFIG.ROUTES);
 Object.freeze(CONFIG.ROLES);
 Object.freeze(CONFIG.COMPANY);
+Object.freeze(CONFIG.RESUME_PARSER_LIBS);
+Object.freeze(CONFIG.INTERVIEW_HOURS);
+Object.freeze(CONFIG.TIMEZONE);
+Object.freeze(CONFIG.REALTIME);
+Object.freeze(CONFIG.PERMISSION_MODULES);
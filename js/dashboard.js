@@ -9,6 +9,14 @@ const Dashboard = (function() {
     let currentUser = null;
     let statsData = {};
     let pipelineData = {};
+    let filters = {};
+    let recentActivities = [];
+    
+    // Number of recent activities shown
+    const ACTIVITY_LIMIT = 10;
+    
+    // Filter bar fields, also used as URL params and API query params
+    const FILTER_KEYS = ['date_from', 'date_to', 'requirement_id', 'role', 'recruiter_id'];
     
     /**
      * Initialize dashboard
@@ -25,14 +33,24 @@ const Dashboard = (function() {
         // Setup event listeners
         setupEventListeners();
         
+        // Restore filters shared through the URL
+        readFiltersFromUrl();
+        setupFilterBar();
+        
         // Load dashboard data
         await loadDashboardData();
         
+        // Keep it up to date without refreshing
+        setupRealtime();
+        
         // Setup sidebar
         setupSidebar();
         
         // Setup user profile
         setupUserProfile();
+        
+        // Header notification bell
+        Notifications.init();
     }
     
     /**
@@ -99,6 +117,9 @@ const Dashboard = (function() {
         // Quick action cards
         Utils.delegate('.dashboard-content', '.quick-action-card', 'click', handleQuickAction);
         
+        // Funnel stages and drop-off tags
+        Utils.delegate('.dashboard-content', '[data-funnel-stage]', 'click', handleFunnelClick);
+        
         // Refresh button
         const refreshBtn = Utils.$('#refresh-data');
         if (refreshBtn) {
@@ -113,16 +134,20 @@ const Dashboard = (function() {
         try {
             Auth.showLoadingOverlay('Loading dashboard...');
             
+            // The funnel loads on its own so a failure there leaves the rest
+            loadFunnel();
+            
             // Load data in parallel
             const [stats, pipeline, recentActivity, upcomingInterviews] = await Promise.all([
-                API.dashboard.getStats(),
-                API.dashboard.getPipelineData(),
-                API.dashboard.getRecentActivity(10),
-                API.dashboard.getUpcomingInterviews(7)
+                API.dashboard.getStats(filters),
+                API.dashboard.getPipelineData(filters),
+                API.dashboard.getRecentActivity(ACTIVITY_LIMIT, filters),
+                API.dashboard.getUpcomingInterviews(7, filters)
             ]);
             
             statsData = stats.data;
             pipelineData = pipeline.data;
+            recentActivities = recentActivity.data || [];
             
             // Render dashboard components
             renderStats(stats.data);
@@ -138,6 +163,209 @@ const Dashboard = (function() {
         }
     }
     
+    // =========================================
+    // Live Updates
+    // =========================================
+    
+    /**
+     * Subscribe to realtime events and connect
+     */
+    function setupRealtime() {
+        API.realtime.on('status', renderRealtimeStatus);
+        API.realtime.on('activity', handleActivityEvent);
+        API.realtime.on('stage_change', handleStageChangeEvent);
+        API.realtime.on('walkin_arrival', handleWalkinArrivalEvent);
+        
+        API.realtime.connect();
+        window.addEventListener('beforeunload', API.realtime.disconnect);
+    }
+    
+    /**
+     * Events are not filtered, so they only update an unfiltered dashboard
+     */
+    function hasActiveFilters() {
+        return Object.keys(filters).length > 0;
+    }
+    
+    /**
+     * Show the connection state next to the page title
+     */
+    function renderRealtimeStatus(status) {
+        const indicator = Utils.$('#realtime-status');
+        if (!indicator) return;
+        
+        const labels = {
+            live: 'Live',
+            connecting: 'Reconnecting...',
+            polling: 'Auto-refresh',
+            offline: 'Offline'
+        };
+        
+        indicator.className = `realtime-status is-${status}`;
+        indicator.textContent = labels[status] || status;
+    }
+    
+    /**
+     * Add a new activity to the top of the recent activity list
+     */
+    function handleActivityEvent(activity) {
+        if (hasActiveFilters()) return;
+        if (recentActivities.some(item => item.id === activity.id)) return;
+        
+        recentActivities = [activity, ...recentActivities].slice(0, ACTIVITY_LIMIT);
+        renderRecentActivity(recentActivities);
+        
+        const first = Utils.$('#recent-activity .activity-item');
+        if (first) first.classList.add('is-new');
+    }
+    
+    /**
+     * Move one candidate between pipeline counts
+     */
+    function handleStageChangeEvent(change) {
+        if (hasActiveFilters()) return;
+        
+        const key = (stage) => stage.toLowerCase().replace(/\s+/g, '_');
+        
+        if (change.from_stage) {
+            pipelineData[key(change.from_stage)] = Math.max((pipelineData[key(change.from_stage)] || 0) - 1, 0);
+        } else {
+            // A new candidate entering the pipeline
+            pipelineData.total = (pipelineData.total || 0) + 1;
+        }
+        
+        if (change.to_stage) {
+            pipelineData[key(change.to_stage)] = (pipelineData[key(change.to_stage)] || 0) + 1;
+        }
+        
+        renderPipeline(pipelineData);
+    }
+    
+    /**
+     * Tell HR when a walk-in candidate arrives
+     */
+    function handleWalkinArrivalEvent(arrival) {
+        if (currentUser.role !== CONFIG.ROLES.HR && currentUser.role !== CONFIG.ROLES.ADMIN) return;
+        
+        const token = arrival.token ? ` (token ${arrival.token})` : '';
+        Utils.showToast(`${arrival.name} has arrived for ${arrival.role}${token}`, 'info');
+    }
+    
+    // =========================================
+    // Filter Bar
+    // =========================================
+    
+    /**
+     * Read the dashboard filters from the URL
+     */
+    function readFiltersFromUrl() {
+        filters = {};
+        FILTER_KEYS.forEach(key => {
+            const value = Utils.getUrlParam(key);
+            if (value) filters[key] = value;
+        });
+    }
+    
+    /**
+     * Setup the filter bar above the widgets
+     */
+    function setupFilterBar() {
+        const form = Utils.$('#dashboard-filter-form');
+        if (!form) return;
+        
+        Utils.setFormData(form, filters);
+        
+        form.addEventListener('change', handleFilterChange);
+        form.addEventListener('submit', (e) => e.preventDefault());
+        form.addEventListener('reset', () => {
+            // Let the form clear its fields first
+            setTimeout(handleFilterChange, 0);
+        });
+        
+        // Back/forward between filter selections
+        window.addEventListener('popstate', () => {
+            readFiltersFromUrl();
+            Utils.resetForm(form);
+            Utils.setFormData(form, filters);
+            loadDashboardData();
+        });
+        
+        populateFilterOptions(form);
+    }
+    
+    /**
+     * Fill the role, requirement and recruiter dropdowns
+     */
+    async function populateFilterOptions(form) {
+        fillFilterSelect(form, 'role', CONFIG.JOB_ROLES.map(role => ({ value: role, label: role })));
+        
+        try {
+            const response = await API.requirements.getAll();
+            fillFilterSelect(form, 'requirement_id', (response.data || []).map(req => ({ value: req.id, label: `${req.id} - ${req.role}` })));
+        } catch (error) {
+            // Widgets still filter by the other fields
+        }
+        
+        // The user list is only available to admins
+        const recruiterSelect = form.querySelector('[name="recruiter_id"]');
+        if (!recruiterSelect) return;
+        
+        if (currentUser.role !== CONFIG.ROLES.ADMIN) {
+            recruiterSelect.closest('.form-group').classList.add('hidden');
+            return;
+        }
+        
+        try {
+            const response = await API.users.getAll();
+            const recruiters = (response.data || []).filter(user => user.role === CONFIG.ROLES.HR);
+            fillFilterSelect(form, 'recruiter_id', recruiters.map(user => ({ value: user.id, label: user.name })));
+        } catch (error) {
+            // Widgets still filter by the other fields
+        }
+    }
+    
+    /**
+     * Replace a filter dropdown's options, keeping its "All" option and the value from the URL
+     */
+    function fillFilterSelect(form, name, options) {
+        const select = form.querySelector(`[name="${name}"]`);
+        if (!select) return;
+        
+        const placeholder = select.options[0] ? select.options[0].outerHTML : '<option value="">All</option>';
+        select.innerHTML = placeholder + options
+            .map(option => `<option value="${Utils.escapeHtml(String(option.value))}">${Utils.escapeHtml(option.label)}</option>`)
+            .join('');
+        select.value = filters[name] || '';
+    }
+    
+    /**
+     * Apply the filter bar: update the URL and reload every widget
+     */
+    function handleFilterChange() {
+        const form = Utils.$('#dashboard-filter-form');
+        const data = Utils.getFormData(form);
+        
+        if (data.date_from && data.date_to && data.date_from > data.date_to) {
+            Utils.showToast('The start date must be before the end date', 'error');
+            return;
+        }
+        
+        const next = {};
+        FILTER_KEYS.forEach(key => {
+            if (data[key]) next[key] = data[key];
+        });
+        
+        // All filters in one update, so each change is one history entry
+        const params = {};
+        FILTER_KEYS.forEach(key => {
+            params[key] = next[key] || null;
+        });
+        Utils.updateUrlParams(params);
+        
+        filters = next;
+        loadDashboardData();
+    }
+    
     /**
      * Render statistics cards
      */
@@ -273,6 +501,176 @@ const Dashboard = (function() {
         });
     }
     
+    /**
+     * Load the conversion funnel, showing an error in its card if it fails
+     */
+    async function loadFunnel() {
+        const container = Utils.$('#funnel-container');
+        if (!container) return;
+        
+        try {
+            const response = await API.dashboard.getFunnel(filters);
+            renderFunnel(response.data);
+        } catch (error) {
+            console.error('Failed to load funnel:', error);
+            container.innerHTML = '<p class="no-data text-danger">Failed to load the funnel</p>';
+        }
+    }
+    
+    /**
+     * Render the stage-to-stage conversion funnel. data.stages lists
+     * { stage, reached, drop_offs: { [rejection tag]: count } } in pipeline order.
+     */
+    function renderFunnel(data) {
+        const container = Utils.$('#funnel-container');
+        if (!container) return;
+        
+        const reached = {};
+        const dropOffs = {};
+        ((data && data.stages) || []).forEach(item => {
+            reached[item.stage] = item.reached || 0;
+            dropOffs[item.stage] = item.drop_offs || {};
+        });
+        
+        // Rejected is where candidates end up, not a step of the funnel
+        const stages = CONFIG.CANDIDATE_STAGES.filter(stage => stage !== 'Rejected');
+        const top = reached[stages[0]] || 0;
+        
+        if (top === 0) {
+            container.innerHTML = '<p class="no-data">No candidates in the funnel yet</p>';
+            return;
+        }
+        
+        let html = '<div class="funnel">';
+        stages.forEach((stage, index) => {
+            const count = reached[stage] || 0;
+            
+            html += `
+                <div class="funnel-stage" data-funnel-stage="${stage}" title="View candidates who reached ${stage}">
+                    <span class="funnel-stage-name">${stage}</span>
+                    <div class="funnel-bar-track">
+                        <div class="funnel-bar" style="width: ${Math.max((count / top) * 100, 1)}%"></div>
+                    </div>
+                    <span class="funnel-stage-count">${count}</span>
+                </div>
+            `;
+            
+            const next = stages[index + 1];
+            if (!next) return;
+            
+            const nextCount = reached[next] || 0;
+            const conversion = count > 0 ? Math.round((nextCount / count) * 100) : 0;
+            
+            // Only rejection tags recorded at this stage, in CONFIG order.
+            // Candidates between stages that are still in progress are not
+            // counted as dropped.
+            const rejected = Object.values(dropOffs[stage]).reduce((sum, tagCount) => sum + tagCount, 0);
+            let tagsHtml = '';
+            CONFIG.REJECTION_TAGS.forEach(tag => {
+                const tagCount = dropOffs[stage][tag] || 0;
+                if (tagCount === 0) return;
+                tagsHtml += `
+                    <button type="button" class="funnel-drop-tag" data-funnel-stage="${stage}" data-funnel-tag="${tag}" title="View candidates rejected for ${tag}">
+                        ${tag} <strong>${tagCount}</strong>
+                    </button>
+                `;
+            });
+            
+            html += `
+                <div class="funnel-step">
+                    <span class="funnel-conversion ${conversion < 50 ? 'is-low' : ''}">
+                        <i class="fas fa-arrow-down"></i> ${conversion}% to ${next}
+                    </span>
+                    <span class="funnel-dropped">${rejected} rejected here</span>
+                    ${tagsHtml}
+                </div>
+            `;
+        });
+        html += '</div>';
+        
+        container.innerHTML = html;
+    }
+    
+    /**
+     * Open the candidates behind a funnel segment: everyone who reached a
+     * stage, or everyone rejected at it with one rejection tag
+     */
+    async function handleFunnelClick() {
+        const stage = this.dataset.funnelStage;
+        const tag = this.dataset.funnelTag;
+        const params = tag ? { ...filters, stage: 'Rejected', rejection_tag: tag } : { ...filters, reached_stage: stage };
+        const title = tag ? `Rejected: ${tag}` : `Reached ${stage}`;
+        
+        try {
+            Auth.showLoadingOverlay('Loading candidates...');
+            const response = await API.candidates.getAll(params);
+            Auth.hideLoadingOverlay();
+            showFunnelCandidates(title, response.data || [], tag ? null : stage);
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast('Failed to load candidates', 'error');
+        }
+    }
+    
+    /**
+     * Show a list of candidates in a modal, with a link to the stage page
+     */
+    function showFunnelCandidates(title, candidates, stage) {
+        const existing = Utils.$('#funnel-candidates-modal');
+        if (existing) existing.remove();
+        
+        let rows = '';
+        candidates.forEach(candidate => {
+            rows += `
+                <tr>
+                    <td>${Utils.escapeHtml(candidate.name)}</td>
+                    <td>${Utils.escapeHtml(candidate.role || '')}</td>
+                    <td>${Utils.escapeHtml(candidate.current_stage || '')}</td>
+                    <td>${Utils.escapeHtml(candidate.rejection_tag || '-')}</td>
+                    <td>${Utils.formatDate(candidate.updated_at)}</td>
+                </tr>
+            `;
+        });
+        
+        const modal = document.createElement('div');
+        modal.id = 'funnel-candidates-modal';
+        modal.className = 'modal modal-lg active';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">${Utils.escapeHtml(title)} (${candidates.length})</h3>
+                    <button type="button" class="modal-close" data-funnel-close><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body">
+                    ${candidates.length === 0 ? '<p class="no-data">No candidates found</p>' : `
+                        <table class="data-table">
+                            <thead>
+                                <tr><th>Candidate</th><th>Role</th><th>Current Stage</th><th>Rejection Tag</th><th>Updated</th></tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    `}
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-funnel-close>Close</button>
+                    ${stage ? `<button type="button" class="btn btn-primary" data-funnel-open="${stage}">Open ${stage}</button>` : ''}
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        document.body.classList.add('modal-open');
+        
+        Utils.delegate(modal, '[data-funnel-close]', 'click', () => {
+            modal.remove();
+            document.body.classList.remove('modal-open');
+        });
+        Utils.delegate(modal, '[data-funnel-open]', 'click', function() {
+            navigateToStage(this.dataset.funnelOpen);
+        });
+    }
+    
     /**
      * Render recent activity
      */
@@ -464,6 +862,7 @@ const Dashboard = (function() {
         loadDashboardData,
         renderStats,
         renderPipeline,
+        renderFunnel,
         toggleSidebar
     };
 })();
@@ -0,0 +1,246 @@
+/**
+ * HRMS Duplicates Module
+ * Detects candidates that already exist (same mobile, email or a similar
+ * name) and asks the user how to handle them before anything is created
+ */
+
+const Duplicates = (function() {
+    'use strict';
+    
+    // Names at least this similar (0-1) are flagged even when contacts differ
+    const NAME_SIMILARITY_THRESHOLD = 0.8;
+    
+    const MATCH_LABELS = {
+        mobile: 'Same mobile',
+        email: 'Same email',
+        name: 'Similar name'
+    };
+    
+    /**
+     * Normalize a mobile number to its last 10 digits
+     */
+    function normalizeMobile(mobile) {
+        return String(mobile || '').replace(/\D/g, '').slice(-10);
+    }
+    
+    /**
+     * Normalize a name for comparison
+     */
+    function normalizeName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+    }
+    
+    /**
+     * Name similarity between 0 and 1 (Dice coefficient over letter pairs).
+     * Word order is ignored so "Kumar Rahul" matches "Rahul Kumar".
+     */
+    function nameSimilarity(a, b) {
+        const sortWords = name => normalizeName(name).split(' ').sort().join('');
+        const first = sortWords(a);
+        const second = sortWords(b);
+        
+        if (!first || !second) return 0;
+        if (first === second) return 1;
+        if (first.length < 2 || second.length < 2) return 0;
+        
+        const pairs = new Map();
+        for (let i = 0; i < first.length - 1; i++) {
+            const pair = first.substr(i, 2);
+            pairs.set(pair, (pairs.get(pair) || 0) + 1);
+        }
+        
+        let shared = 0;
+        for (let i = 0; i < second.length - 1; i++) {
+            const pair = second.substr(i, 2);
+            if (pairs.get(pair) > 0) {
+                pairs.set(pair, pairs.get(pair) - 1);
+                shared++;
+            }
+        }
+        
+        return (2 * shared) / (first.length + second.length - 2);
+    }
+    
+    /**
+     * Get the reasons an existing candidate matches the given details
+     */
+    function getMatchReasons(details, existing) {
+        const reasons = [];
+        
+        const mobile = normalizeMobile(details.mobile);
+        if (mobile && mobile === normalizeMobile(existing.mobile)) {
+            reasons.push('mobile');
+        }
+        
+        const email = String(details.email || '').trim().toLowerCase();
+        if (email && email === String(existing.email || '').trim().toLowerCase()) {
+            reasons.push('email');
+        }
+        
+        if (nameSimilarity(details.name, existing.name) >= NAME_SIMILARITY_THRESHOLD) {
+            reasons.push('name');
+        }
+        
+        return reasons;
+    }
+    
+    /**
+     * Keep the server's possible matches that really match, strongest first
+     */
+    function filterMatches(details, possibleMatches) {
+        return (possibleMatches || [])
+            .map(candidate => ({ candidate, reasons: getMatchReasons(details, candidate) }))
+            .filter(match => match.reasons.length > 0)
+            .sort((a, b) => b.reasons.length - a.reasons.length);
+    }
+    
+    /**
+     * Find existing candidates for a list of new candidate details.
+     * Returns one (possibly empty) list of matches per entry, in order.
+     */
+    async function findForCandidates(entries) {
+        const response = await API.candidates.findDuplicates(entries.map(entry => ({
+            name: entry.name,
+            mobile: normalizeMobile(entry.mobile),
+            email: entry.email
+        })));
+        
+        const results = (response && response.data) || [];
+        return entries.map((entry, index) => filterMatches(entry, results[index]));
+    }
+    
+    /**
+     * Check whether walk-in form details are already registered. The public
+     * endpoint only answers yes or no; it never returns candidate records.
+     */
+    async function isRegistered(details) {
+        const response = await API.walkin.checkDuplicate({
+            mobile: normalizeMobile(details.mobile),
+            email: details.email
+        });
+        
+        return !!(response && response.data && response.data.registered);
+    }
+    
+    /**
+     * Find earlier entries of the same batch with the same mobile or email
+     * (similar names alone are common within a batch of CVs)
+     */
+    function findInBatch(entry, earlierEntries) {
+        return earlierEntries
+            .map(other => ({ candidate: other, reasons: getMatchReasons(entry, other).filter(reason => reason !== 'name') }))
+            .filter(match => match.reasons.length > 0);
+    }
+    
+    /**
+     * Render one existing candidate with their stage and rejection history
+     */
+    function renderMatch(match, index) {
+        const candidate = match.candidate;
+        const rejections = candidate.rejections || [];
+        const reasons = match.reasons.map(reason => `<span class="badge badge-warning">${MATCH_LABELS[reason]}</span>`).join(' ');
+        
+        return `
+            <label class="duplicate-match">
+                <input type="radio" name="duplicate-target" value="${index}" ${index === 0 ? 'checked' : ''}>
+                <div class="duplicate-match-body">
+                    <strong>${Utils.escapeHtml(candidate.name)}</strong> ${reasons}
+                    <p class="duplicate-meta">
+                        ${Utils.escapeHtml(candidate.mobile || '-')} &middot; ${Utils.escapeHtml(candidate.email || '-')}
+                        &middot; ${Utils.escapeHtml(candidate.source || '-')}
+                    </p>
+                    <p class="duplicate-meta">
+                        Stage: <span class="badge badge-${candidate.current_stage === 'Rejected' ? 'danger' : 'info'}">${Utils.escapeHtml(candidate.current_stage || '-')}</span>
+                        ${candidate.requirement_title ? `for ${Utils.escapeHtml(candidate.requirement_title)}` : ''}
+                        ${candidate.created_at ? `&middot; added ${Utils.formatDate(candidate.created_at)}` : ''}
+                    </p>
+                    ${rejections.length ? `
+                        <ul class="duplicate-rejections">
+                            ${rejections.map(r => `
+                                <li>
+                                    Rejected in ${Utils.escapeHtml(r.stage || '-')}: ${Utils.escapeHtml(r.rejection_tag || '-')}
+                                    ${r.rejected_at ? `(${Utils.formatDate(r.rejected_at)})` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="duplicate-meta">No previous rejections.</p>'}
+                </div>
+            </label>
+        `;
+    }
+    
+    /**
+     * Ask how to handle a duplicate.
+     * Resolves to { action: 'skip' | 'attach' | 'create', candidateId }.
+     *
+     * Options:
+     *   showHistory - list the matching candidates with their contacts, stage
+     *                 and rejection history (HR only; public pages pass false)
+     *   title, message - modal text
+     *   skipLabel, attachLabel, createLabel - button labels
+     */
+    function resolve(details, matches, options = {}) {
+        const showHistory = options.showHistory !== false;
+        
+        return new Promise(resolvePromise => {
+            const existing = Utils.$('#duplicate-modal');
+            if (existing) existing.remove();
+            
+            const modal = document.createElement('div');
+            modal.id = 'duplicate-modal';
+            modal.className = 'modal modal-lg active';
+            modal.innerHTML = `
+                <div class="modal-overlay"></div>
+                <div class="modal-container">
+                    <div class="modal-header">
+                        <h3 class="modal-title">${Utils.escapeHtml(options.title || 'Possible Duplicate')}</h3>
+                        <button type="button" class="modal-close" data-duplicate-action="skip"><i class="fas fa-times"></i></button>
+                    </div>
+                    <div class="modal-body">
+                        <p>${options.message || `<strong>${Utils.escapeHtml(details.name || details.mobile)}</strong> looks like an existing candidate.`}</p>
+                        ${showHistory ? `
+                            <div class="duplicate-matches">
+                                ${matches.map((match, index) => renderMatch(match, index)).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-duplicate-action="skip">${options.skipLabel || 'Skip'}</button>
+                        <button type="button" class="btn btn-outline-primary" data-duplicate-action="create">${options.createLabel || 'Create Anyway'}</button>
+                        <button type="button" class="btn btn-primary" data-duplicate-action="attach">${options.attachLabel || 'Attach to Existing'}</button>
+                    </div>
+                </div>
+            `;
+            
+            document.body.appendChild(modal);
+            document.body.classList.add('modal-open');
+            
+            Utils.delegate(modal, '[data-duplicate-action], .modal-overlay', 'click', function() {
+                const action = this.dataset.duplicateAction || 'skip';
+                const selected = Utils.$('[name="duplicate-target"]:checked', modal);
+                const match = matches[selected ? parseInt(selected.value, 10) : 0];
+                
+                modal.remove();
+                document.body.classList.remove('modal-open');
+                
+                resolvePromise({
+                    action,
+                    candidateId: action === 'attach' && match ? match.candidate.id : null
+                });
+            });
+        });
+    }
+    
+    // Public API
+    return {
+        nameSimilarity,
+        getMatchReasons,
+        findForCandidates,
+        findInBatch,
+        isRegistered,
+        resolve
+    };
+})();
+
+// Make Duplicates globally available
+window.Duplicates = Duplicates;
@@ -42,6 +42,8 @@ const EA = (function() {
                 await loadIncompleteRequirements();
                 break;
         }
+        
+        Utils.focusLinkedRecord('data-req-id');
     }
     
     /**
@@ -181,14 +183,14 @@ const EA = (function() {
                     <td>${Utils.formatDate(req.updated_date)}</td>
                     <td>
                         <div class="action-buttons">
-                            <button class="btn btn-sm btn-icon btn-view" title="View">
+                            <button class="btn btn-sm btn-icon btn-view" data-permission="requirements:view" title="View">
                                 <i class="fas fa-eye"></i>
                             </button>
                             ${req.status === 'Pending' ? `
-                                <button class="btn btn-sm btn-icon btn-edit" title="Edit">
+                                <button class="btn btn-sm btn-icon btn-edit" data-permission="requirements:edit" title="Edit">
                                     <i class="fas fa-edit"></i>
                                 </button>
-                                <button class="btn btn-sm btn-icon btn-delete" title="Delete">
+                                <button class="btn btn-sm btn-icon btn-delete" data-permission="requirements:delete" title="Delete">
                                     <i class="fas fa-trash"></i>
                                 </button>
                             ` : ''}
@@ -224,7 +226,7 @@ const EA = (function() {
                     <td>${Utils.formatDate(req.created_date)}</td>
                     <td><span class="text-danger">${missingFields.join(', ')}</span></td>
                     <td>
-                        <button class="btn btn-sm btn-primary btn-complete" title="Complete">
+                        <button class="btn btn-sm btn-primary btn-complete" data-permission="requirements:edit" title="Complete">
                             <i class="fas fa-check"></i> Complete
                         </button>
                     </td>
@@ -10,6 +10,61 @@ const HR = (function() {
     let requirements = [];
     let selectedCandidateId = null;
     let currentStage = '';
+    let draggedCandidateId = null;
+    let selectedIds = new Set();
+    let pickedSlot = null;
+    let messageTarget = null;
+    
+    // Modal opened by each candidate action
+    const ACTION_MODALS = {
+        'shortlist': 'shortlist-modal',
+        'telephonic': 'telephonic-modal',
+        'owner-discussion': 'owner-discussion-modal',
+        'schedule': 'schedule-modal',
+        'walkin': 'walkin-modal',
+        'hr-interview': 'hr-interview-modal',
+        'test': 'test-modal'
+    };
+    
+    // Option lists for `data-populate` selects in action modals
+    const OPTION_LISTS = {
+        'shortlist-decisions': CONFIG.SHORTLIST_DECISIONS,
+        'telephonic-statuses': CONFIG.TELEPHONIC_STATUSES,
+        'owner-decisions': CONFIG.OWNER_DECISIONS,
+        'schedule-statuses': CONFIG.SCHEDULE_STATUSES,
+        'walkin-statuses': CONFIG.WALKIN_STATUSES
+    };
+    
+    // Row action buttons, shown when Workflow allows the action
+    const ACTION_BUTTONS = {
+        'shortlist': { className: 'btn-primary btn-action', icon: 'fa-check', title: 'Shortlist' },
+        'telephonic': { className: 'btn-primary btn-action', icon: 'fa-phone', title: 'Update Status' },
+        'owner-discussion': { className: 'btn-primary btn-action', icon: 'fa-user-tie', title: 'Record Decision' },
+        'schedule': { className: 'btn-primary btn-action', icon: 'fa-calendar-plus', title: 'Schedule' },
+        'message': { className: 'btn-secondary btn-message', icon: 'fa-comment', title: 'Generate Message', messageType: 'interview' },
+        'walkin': { className: 'btn-primary btn-action', icon: 'fa-user-check', title: 'Mark Arrived' },
+        'hr-interview': { className: 'btn-primary btn-action', icon: 'fa-clipboard-check', title: 'Record Result' },
+        'test': { className: 'btn-primary btn-action', icon: 'fa-file-alt', title: 'Record Test' }
+    };
+    
+    // Pipeline board moves keyed by target stage. Moves with an `action`
+    // need extra data and open that action's modal; the rest submit directly.
+    // Whether a move is legal is decided by Workflow.canTransition.
+    const BOARD_MOVES = {
+        'Telephonic': {
+            submit: (id) => API.candidates.shortlist(id, { decision: 'Shortlisted' })
+        },
+        'Owner Discussion': {
+            submit: (id) => API.candidates.updateTelephonic(id, { status: 'Recommended for Owners' })
+        },
+        'Schedule Interview': {
+            submit: (id) => API.candidates.updateOwnerDiscussion(id, { decision: 'Approved for Walk-in' })
+        },
+        'Walk-in': { action: 'schedule' },
+        'HR Interview': { action: 'walkin' },
+        'Tests': { action: 'hr-interview' },
+        'Final Review': { action: 'test' }
+    };
     
     // =========================================
     // Initialization
@@ -31,6 +86,7 @@ const HR = (function() {
         }
         
         setupEventListeners();
+        populateOptionDropdowns();
         
         // Determine which HR page we're on
         const page = getHRPage();
@@ -42,11 +98,12 @@ const HR = (function() {
         // Load page-specific data
         const pageLoaders = {
             'review': loadPendingRequirements,
+            'pipeline': loadPipelineBoard,
             'cv-upload': setupCVUpload,
             'shortlisting': () => loadCandidatesByStage('Shortlisting'),
             'telephonic': () => loadCandidatesByStage('Telephonic'),
             'owner-discussion': () => loadCandidatesByStage('Owner Discussion'),
-            'schedule': () => loadCandidatesByStage('Schedule Interview'),
+            'schedule': loadSchedulePage,
             'walk-ins': () => loadCandidatesByStage('Walk-in'),
             'hr-interview': () => loadCandidatesByStage('HR Interview'),
             'tests': () => loadCandidatesByStage('Tests')
@@ -55,6 +112,8 @@ const HR = (function() {
         if (pageLoaders[page]) {
             await pageLoaders[page]();
         }
+        
+        Utils.focusLinkedRecord(page === 'review' ? 'data-req-id' : 'data-candidate-id');
     }
     
     /**
@@ -62,6 +121,7 @@ const HR = (function() {
      */
     function getHRPage() {
         const path = window.location.pathname;
+        if (path.includes('pipeline')) return 'pipeline';
         if (path.includes('review')) return 'review';
         if (path.includes('cv-upload')) return 'cv-upload';
         if (path.includes('shortlisting')) return 'shortlisting';
@@ -96,6 +156,10 @@ const HR = (function() {
             fileInput.addEventListener('change', handleFileSelect);
         }
         
+        // Inline edits of parsed CV details
+        Utils.delegate('#cv-file-list', '.file-field', 'input', handleFileFieldInput);
+        Utils.delegate('#cv-file-list', '.file-field', 'change', handleFileFieldInput);
+        
         // Requirement approval/rejection
         Utils.delegate('#pending-requirements', '.btn-approve', 'click', handleApproveRequirement);
         Utils.delegate('#pending-requirements', '.btn-reject', 'click', handleRejectRequirement);
@@ -106,10 +170,35 @@ const HR = (function() {
         Utils.delegate('.candidates-table', '.btn-reject', 'click', handleRejectCandidate);
         Utils.delegate('.candidates-table', '.btn-message', 'click', handleGenerateMessage);
         
+        // Bulk selection
+        Utils.delegate('.candidates-table', '.row-checkbox', 'change', handleRowSelect);
+        Utils.delegate('.candidates-table', '.select-all-checkbox', 'change', handleSelectAll);
+        
+        // Pipeline board
+        const board = Utils.$('#pipeline-board');
+        if (board) {
+            setupPipelineBoard(board);
+        }
+        
         // Modal close buttons
         Utils.addEventListeners('.modal-close, .btn-cancel', 'click', closeModals);
         
         // Action forms in modals
+        const shortlistForm = Utils.$('#shortlist-form');
+        if (shortlistForm) {
+            shortlistForm.addEventListener('submit', handleShortlistSubmit);
+        }
+        
+        const walkinForm = Utils.$('#walkin-arrival-form');
+        if (walkinForm) {
+            walkinForm.addEventListener('submit', handleWalkinSubmit);
+            
+            const noShowToggle = walkinForm.querySelector('[name="no_show"]');
+            if (noShowToggle) {
+                noShowToggle.addEventListener('change', () => toggleNoShowFields(walkinForm));
+            }
+        }
+        
         const telephonicForm = Utils.$('#telephonic-form');
         if (telephonicForm) {
             telephonicForm.addEventListener('submit', handleTelephonicSubmit);
@@ -149,6 +238,7 @@ const HR = (function() {
         
         // Copy message button
         Utils.delegate('.message-container', '.btn-copy', 'click', handleCopyMessage);
+        Utils.delegate('.message-container', '.btn-send-message', 'click', handleSendMessage);
     }
     
     // =========================================
@@ -182,6 +272,21 @@ const HR = (function() {
         });
     }
     
+    /**
+     * Populate status/decision dropdowns from config lists
+     */
+    function populateOptionDropdowns() {
+        Object.entries(OPTION_LISTS).forEach(([key, values]) => {
+            Utils.$$(`[data-populate="${key}"]`).forEach(dropdown => {
+                let options = '<option value="">Select</option>';
+                values.forEach(value => {
+                    options += `<option value="${value}">${value}</option>`;
+                });
+                dropdown.innerHTML = options;
+            });
+        });
+    }
+    
     /**
      * Load pending requirements for HR review
      */
@@ -228,8 +333,8 @@ const HR = (function() {
                         <p class="req-meta">Raised by ${Utils.escapeHtml(req.raised_by)} on ${Utils.formatDate(req.created_date)}</p>
                     </div>
                     <div class="req-footer">
-                        <button class="btn btn-success btn-approve"><i class="fas fa-check"></i> Approve</button>
-                        <button class="btn btn-danger btn-reject"><i class="fas fa-times"></i> Reject</button>
+                        <button class="btn btn-success btn-approve" data-permission="requirements:edit"><i class="fas fa-check"></i> Approve</button>
+                        <button class="btn btn-danger btn-reject" data-permission="requirements:edit"><i class="fas fa-times"></i> Reject</button>
                     </div>
                 </div>
             `;
@@ -294,6 +399,7 @@ const HR = (function() {
     // =========================================
     
     let selectedFiles = [];
+    let uploading = false;
     
     /**
      * Setup CV upload area
@@ -347,7 +453,7 @@ const HR = (function() {
     /**
      * Handle files (validation and processing)
      */
-    function handleFiles(files) {
+    async function handleFiles(files) {
         const validFiles = [];
         const errors = [];
         
@@ -364,19 +470,19 @@ const HR = (function() {
                 return;
             }
             
-            // Check filename format (Name_Mobile_Source)
+            // Filename (Name_Mobile_Source) is one hint; the CV text is read below
             const parsed = parseFilename(file.name);
-            if (!parsed.isValid) {
-                errors.push(`${file.name}: Invalid format (use Name_Mobile_Source.pdf)`);
-                return;
-            }
             
             validFiles.push({
                 file: file,
-                name: parsed.name,
-                mobile: parsed.mobile,
-                source: parsed.source,
-                filename: file.name
+                name: parsed.name || '',
+                mobile: parsed.mobile || '',
+                source: normalizeSource(parsed.source),
+                email: '',
+                experience: '',
+                qualification: '',
+                filename: file.name,
+                parsing: true
             });
         });
         
@@ -386,6 +492,78 @@ const HR = (function() {
         
         selectedFiles = [...selectedFiles, ...validFiles];
         updateFileList();
+        
+        await Promise.all(validFiles.map(fillFromResume));
+    }
+    
+    /**
+     * Pre-fill a selected file's details from its CV text.
+     * Values from a conventionally named file take priority over extracted ones.
+     */
+    async function fillFromResume(fileData) {
+        const extracted = await ResumeParser.parse(fileData.file);
+        
+        ['name', 'mobile', 'email', 'experience', 'qualification'].forEach(field => {
+            if (!fileData[field] && extracted[field]) {
+                fileData[field] = extracted[field];
+            }
+        });
+        
+        fileData.parsing = false;
+        
+        // The file may have been removed while it was being read
+        if (selectedFiles.includes(fileData)) {
+            refreshFileItem(fileData);
+        }
+    }
+    
+    /**
+     * Match a source from a filename to a configured job portal
+     * (e.g. "naukri" -> "Naukri.com"). Unknown sources are left blank.
+     */
+    function normalizeSource(source) {
+        if (!source) return '';
+        
+        const key = source.toLowerCase().replace(/[^a-z]/g, '');
+        return CONFIG.JOB_PORTALS.find(portal => {
+            const portalKey = portal.toLowerCase().replace(/[^a-z]/g, '');
+            return portalKey === key || portalKey.replace(/com$/, '') === key;
+        }) || '';
+    }
+    
+    /**
+     * Validate a selected file's candidate details.
+     * Returns a map of field name to error message.
+     */
+    function validateFileData(fileData) {
+        const errors = {};
+        
+        if (!fileData.name.trim()) {
+            errors.name = 'Name is required';
+        }
+        
+        if (!fileData.mobile.trim()) {
+            errors.mobile = 'Mobile is required';
+        } else if (!Utils.isValidPhone(fileData.mobile)) {
+            errors.mobile = 'Enter a valid 10-digit mobile';
+        }
+        
+        if (fileData.email.trim() && !Utils.isValidEmail(fileData.email.trim())) {
+            errors.email = 'Enter a valid email';
+        }
+        
+        if (!CONFIG.JOB_PORTALS.includes(fileData.source)) {
+            errors.source = 'Pick a source';
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Check whether a selected file can be uploaded
+     */
+    function isFileReady(fileData) {
+        return !fileData.parsing && Object.keys(validateFileData(fileData)).length === 0;
     }
     
     /**
@@ -431,45 +609,219 @@ const HR = (function() {
         
         let html = '<div class="file-list">';
         selectedFiles.forEach((fileData, index) => {
-            html += `
-                <div class="file-item" data-index="${index}">
-                    <div class="file-info">
-                        <i class="fas fa-file-pdf"></i>
-                        <div class="file-details">
-                            <span class="file-name">${Utils.escapeHtml(fileData.filename)}</span>
-                            <span class="file-meta">
-                                <span class="candidate-name">${Utils.escapeHtml(fileData.name)}</span>
-                                <span class="candidate-mobile">${fileData.mobile}</span>
-                                <span class="candidate-source">${Utils.escapeHtml(fileData.source)}</span>
-                            </span>
+            html += renderFileItem(fileData, index);
+        });
+        html += '</div>';
+        html += '<p class="file-count"></p>';
+        
+        fileList.innerHTML = html;
+        updateFileCount();
+    }
+    
+    /**
+     * Render a selected file as an editable mini-form
+     */
+    function renderFileItem(fileData, index) {
+        const isPdf = fileData.filename.toLowerCase().endsWith('.pdf');
+        const pending = isUploadPending(fileData);
+        const errors = fileData.parsing ? {} : validateFileData(fileData);
+        const disabled = fileData.parsing || pending ? 'disabled' : '';
+        
+        const field = (name, label, type = 'text') => `
+            <div class="file-field-group">
+                <input type="${type}" class="form-control form-control-sm file-field ${errors[name] ? 'is-invalid' : ''}"
+                       data-field="${name}" value="${Utils.escapeHtml(fileData[name])}" placeholder="${label}" ${disabled}>
+                <span class="form-error ${errors[name] ? '' : 'hidden'}" data-error-for="${name}">${errors[name] || ''}</span>
+            </div>
+        `;
+        
+        let sourceOptions = '<option value="">Source</option>';
+        CONFIG.JOB_PORTALS.forEach(portal => {
+            sourceOptions += `<option value="${portal}" ${fileData.source === portal ? 'selected' : ''}>${portal}</option>`;
+        });
+        
+        return `
+            <div class="file-item ${Object.keys(errors).length ? 'has-errors' : ''}" data-index="${index}">
+                <div class="file-info">
+                    <i class="fas ${isPdf ? 'fa-file-pdf' : 'fa-file-word'}"></i>
+                    <div class="file-details">
+                        <span class="file-name">${Utils.escapeHtml(fileData.filename)}</span>
+                        ${fileData.parsing ? '<span class="file-parsing"><i class="fas fa-spinner fa-spin"></i> Reading CV...</span>' : ''}
+                        ${renderUploadStatus(fileData)}
+                        <div class="file-fields">
+                            ${field('name', 'Name')}
+                            ${field('mobile', 'Mobile', 'tel')}
+                            ${field('email', 'Email', 'email')}
+                            ${field('experience', 'Experience')}
+                            ${field('qualification', 'Qualification')}
+                            <div class="file-field-group">
+                                <select class="form-control form-control-sm file-field ${errors.source ? 'is-invalid' : ''}" data-field="source" ${disabled}>
+                                    ${sourceOptions}
+                                </select>
+                                <span class="form-error ${errors.source ? '' : 'hidden'}" data-error-for="source">${errors.source || ''}</span>
+                            </div>
                         </div>
                     </div>
+                </div>
+                ${pending ? `
+                    <button type="button" class="btn btn-sm btn-icon btn-remove-file" onclick="HR.cancelFile(${index})" title="Cancel upload">
+                        <i class="fas fa-ban"></i>
+                    </button>
+                ` : `
                     <button type="button" class="btn btn-sm btn-icon btn-remove-file" onclick="HR.removeFile(${index})">
                         <i class="fas fa-times"></i>
                     </button>
-                </div>
-            `;
+                `}
+            </div>
+        `;
+    }
+    
+    /**
+     * Check whether a file is waiting for or in the middle of an upload
+     */
+    function isUploadPending(fileData) {
+        return fileData.status === 'queued' || fileData.status === 'uploading';
+    }
+    
+    /**
+     * Render the upload progress or result of a file
+     */
+    function renderUploadStatus(fileData) {
+        switch (fileData.status) {
+            case 'queued':
+            case 'uploading':
+                return `
+                    <div class="file-progress">
+                        <div class="file-progress-bar" style="width: ${fileData.progress || 0}%"></div>
+                    </div>
+                    <span class="file-upload-status">${fileData.status === 'queued' ? 'Waiting...' : `Uploading ${fileData.progress || 0}%`}</span>
+                `;
+            case 'failed':
+                return `<span class="file-upload-status text-danger"><i class="fas fa-exclamation-circle"></i> ${Utils.escapeHtml(fileData.error)}</span>`;
+            case 'cancelled':
+                return '<span class="file-upload-status text-muted"><i class="fas fa-ban"></i> Cancelled</span>';
+            default:
+                return '';
+        }
+    }
+    
+    /**
+     * Update a file's progress bar in place
+     */
+    function updateFileProgress(fileData) {
+        const index = selectedFiles.indexOf(fileData);
+        const item = Utils.$(`#cv-file-list .file-item[data-index="${index}"]`);
+        if (!item) return;
+        
+        const bar = Utils.$('.file-progress-bar', item);
+        const status = Utils.$('.file-upload-status', item);
+        if (bar) bar.style.width = `${fileData.progress}%`;
+        if (status) status.textContent = `Uploading ${fileData.progress}%`;
+    }
+    
+    /**
+     * Re-render a single file row (keeps focus in other rows)
+     */
+    function refreshFileItem(fileData) {
+        const index = selectedFiles.indexOf(fileData);
+        const item = Utils.$(`#cv-file-list .file-item[data-index="${index}"]`);
+        
+        if (item) {
+            item.outerHTML = renderFileItem(fileData, index);
+            updateFileCount();
+        } else {
+            updateFileList();
+        }
+    }
+    
+    /**
+     * Handle edits in a file row
+     */
+    function handleFileFieldInput(e) {
+        const item = this.closest('.file-item');
+        const fileData = selectedFiles[parseInt(item.dataset.index, 10)];
+        if (!fileData) return;
+        
+        fileData[this.dataset.field] = this.value;
+        
+        // Update error state in place so the input keeps focus
+        const errors = validateFileData(fileData);
+        Utils.$$('.file-field', item).forEach(input => {
+            const message = errors[input.dataset.field];
+            const errorEl = Utils.$(`[data-error-for="${input.dataset.field}"]`, item);
+            
+            input.classList.toggle('is-invalid', !!message);
+            errorEl.textContent = message || '';
+            errorEl.classList.toggle('hidden', !message);
         });
-        html += '</div>';
-        html += `<p class="file-count">${selectedFiles.length} file(s) ready to upload</p>`;
+        item.classList.toggle('has-errors', Object.keys(errors).length > 0);
         
-        fileList.innerHTML = html;
+        updateFileCount();
+    }
+    
+    /**
+     * Update ready/blocked counts and the upload button state
+     */
+    function updateFileCount() {
+        const countEl = Utils.$('#cv-file-list .file-count');
+        const submitBtn = Utils.$('#cv-upload-form [type="submit"]');
+        
+        if (uploading) {
+            const pending = selectedFiles.filter(isUploadPending).length;
+            if (countEl) countEl.textContent = `Uploading... ${pending} file(s) remaining`;
+            if (submitBtn) submitBtn.disabled = true;
+            return;
+        }
+        
+        const ready = selectedFiles.filter(isFileReady).length;
+        const blocked = selectedFiles.length - ready;
+        const failed = selectedFiles.filter(f => f.status === 'failed' || f.status === 'cancelled').length;
+        
+        if (countEl) {
+            countEl.innerHTML = blocked > 0
+                ? `${ready} file(s) ready, <span class="text-danger">${blocked} need attention</span>`
+                : `${ready} file(s) ready to upload`;
+            
+            if (failed > 0) {
+                countEl.innerHTML += ` - ${failed} failed or cancelled, press Upload to retry`;
+            }
+        }
+        
+        if (submitBtn) {
+            submitBtn.disabled = selectedFiles.length === 0 || blocked > 0;
+        }
     }
     
     /**
      * Remove file from list
      */
     function removeFile(index) {
+        if (selectedFiles[index] && isUploadPending(selectedFiles[index])) return;
+        
         selectedFiles.splice(index, 1);
         updateFileList();
     }
     
+    /**
+     * Cancel a queued or running file upload
+     */
+    function cancelFile(index) {
+        const fileData = selectedFiles[index];
+        if (!fileData || !isUploadPending(fileData)) return;
+        
+        fileData.controller.abort();
+        fileData.status = 'cancelled';
+        refreshFileItem(fileData);
+    }
+    
     /**
      * Handle CV upload form submit
      */
     async function handleCVUpload(e) {
         e.preventDefault();
         
+        if (uploading) return;
+        
         if (selectedFiles.length === 0) {
             Utils.showToast('Please select files to upload', 'warning');
             return;
@@ -481,31 +833,176 @@ const HR = (function() {
             return;
         }
         
+        if (selectedFiles.some(f => f.parsing)) {
+            Utils.showToast('Please wait until all CVs have been read', 'warning');
+            return;
+        }
+        
+        const blocked = selectedFiles.filter(f => !isFileReady(f));
+        if (blocked.length > 0) {
+            Utils.showToast(`Please fix the details of ${blocked.length} file(s) before uploading`, 'warning');
+            return;
+        }
+        
+        const checked = await resolveDuplicates();
+        if (!checked) return;
+        
+        // Skipped duplicates are dropped from the list
+        const skipped = selectedFiles.filter(f => f.duplicate && f.duplicate.action === 'skip');
+        selectedFiles = selectedFiles.filter(f => !skipped.includes(f));
+        
+        if (selectedFiles.length === 0) {
+            Utils.showToast('All files were skipped as duplicates', 'info');
+            updateFileList();
+            return;
+        }
+        
+        const queue = selectedFiles.slice();
+        queue.forEach(fileData => {
+            fileData.status = 'queued';
+            fileData.progress = 0;
+            fileData.error = '';
+            fileData.controller = new AbortController();
+        });
+        
+        uploading = true;
+        updateFileList();
+        
+        await runUploadQueue(queue, requirementId);
+        
+        uploading = false;
+        
+        const results = queue.map(fileData => ({
+            candidate: { name: `${fileData.name} (${fileData.filename})` },
+            ok: fileData.status === 'done',
+            detail: 'Uploaded',
+            error: fileData.status === 'cancelled' ? 'Cancelled' : fileData.error
+        }));
+        
+        // Uploaded files leave the list; failed and cancelled ones stay for a retry
+        selectedFiles = selectedFiles.filter(f => f.status !== 'done');
+        updateFileList();
+        
+        if (selectedFiles.length === 0) {
+            Utils.$('#upload-requirement').value = '';
+            Utils.showToast(`${queue.length} CVs uploaded successfully${skipped.length ? `, ${skipped.length} skipped as duplicates` : ''}`, 'success');
+        } else {
+            showBulkResults('CV Upload', results, 'failed files are still in the list so you can retry them.');
+        }
+    }
+    
+    /**
+     * Upload files one request each, CONFIG.UPLOAD_CONCURRENCY at a time
+     */
+    async function runUploadQueue(queue, requirementId) {
+        let next = 0;
+        
+        const worker = async () => {
+            while (next < queue.length) {
+                await uploadSelectedFile(queue[next++], requirementId);
+            }
+        };
+        
+        const workerCount = Math.min(CONFIG.UPLOAD_CONCURRENCY, queue.length);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+    }
+    
+    /**
+     * Upload a single selected file, tracking its progress and result
+     */
+    async function uploadSelectedFile(fileData, requirementId) {
+        // Cancelled while waiting in the queue
+        if (fileData.status !== 'queued') return;
+        
+        fileData.status = 'uploading';
+        refreshFileItem(fileData);
+        
         try {
-            Auth.showLoadingOverlay(`Uploading ${selectedFiles.length} files...`);
-            
-            const files = selectedFiles.map(f => f.file);
-            const candidateData = selectedFiles.map(f => ({
-                name: f.name,
-                mobile: f.mobile,
-                source: f.source
-            }));
-            
-            await API.candidates.uploadCVs(files, {
+            await API.candidates.uploadCV(fileData.file, {
                 requirement_id: requirementId,
-                candidates: candidateData
+                candidates: [{
+                    name: fileData.name.trim(),
+                    mobile: fileData.mobile.replace(/\D/g, ''),
+                    source: fileData.source,
+                    email: fileData.email.trim(),
+                    experience: fileData.experience.trim(),
+                    qualification: fileData.qualification.trim(),
+                    duplicate_action: fileData.duplicate ? fileData.duplicate.action : null,
+                    existing_candidate_id: fileData.duplicate ? fileData.duplicate.candidateId : null
+                }]
+            }, {
+                signal: fileData.controller.signal,
+                onProgress: (loaded, total) => {
+                    fileData.progress = Math.round((loaded / total) * 100);
+                    updateFileProgress(fileData);
+                }
             });
             
-            Utils.showToast(`${selectedFiles.length} CVs uploaded successfully`, 'success');
-            selectedFiles = [];
-            updateFileList();
-            Utils.$('#upload-requirement').value = '';
-            
+            fileData.status = 'done';
+            fileData.progress = 100;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                fileData.status = 'cancelled';
+            } else {
+                fileData.status = 'failed';
+                fileData.error = error.message || 'Upload failed';
+            }
+        }
+        
+        refreshFileItem(fileData);
+    }
+    
+    /**
+     * Check the selected files against existing candidates and ask how to
+     * handle each duplicate. Returns false when the check could not run.
+     */
+    async function resolveDuplicates() {
+        const unchecked = selectedFiles.filter(f => f.duplicate === undefined);
+        if (unchecked.length === 0) return true;
+        
+        let matches;
+        
+        try {
+            Auth.showLoadingOverlay('Checking for duplicate candidates...');
+            matches = await Duplicates.findForCandidates(unchecked);
             Auth.hideLoadingOverlay();
         } catch (error) {
             Auth.hideLoadingOverlay();
-            Utils.showToast('Failed to upload CVs', 'error');
+            Utils.showToast('Could not check for duplicate candidates', 'error');
+            return false;
+        }
+        
+        for (let i = 0; i < unchecked.length; i++) {
+            const fileData = unchecked[i];
+            fileData.duplicate = null;
+            
+            if (matches[i].length > 0) {
+                fileData.duplicate = await Duplicates.resolve(fileData, matches[i], {
+                    message: `<strong>${Utils.escapeHtml(fileData.name)}</strong> (${Utils.escapeHtml(fileData.filename)}) looks like an existing candidate.`,
+                    skipLabel: 'Skip This CV'
+                });
+                if (fileData.duplicate.action === 'skip') continue;
+            }
+            
+            // The server only knows existing candidates, not the rest of this batch
+            const earlier = selectedFiles
+                .slice(0, selectedFiles.indexOf(fileData))
+                .filter(f => !f.duplicate || f.duplicate.action !== 'skip');
+            const batchMatches = Duplicates.findInBatch(fileData, earlier);
+            
+            if (batchMatches.length > 0) {
+                const other = batchMatches[0].candidate;
+                const keep = await Utils.confirm(
+                    `${fileData.name} (${fileData.filename}) has the same mobile or email as ${other.name} (${other.filename}) in this upload. Upload both?`,
+                    'Duplicate in This Upload'
+                );
+                if (!keep) {
+                    fileData.duplicate = { action: 'skip', candidateId: null };
+                }
+            }
         }
+        
+        return true;
     }
     
     // =========================================
@@ -516,10 +1013,13 @@ const HR = (function() {
      * Load candidates by stage
      */
     async function loadCandidatesByStage(stage) {
+        currentStage = stage;
+        
         try {
             Auth.showLoadingOverlay(`Loading ${stage} candidates...`);
             const response = await API.candidates.getByStage(stage);
             candidates = response.data;
+            pruneSelection();
             renderCandidatesTable(candidates, stage);
             Auth.hideLoadingOverlay();
         } catch (error) {
@@ -535,8 +1035,11 @@ const HR = (function() {
         const tbody = Utils.$('.candidates-table tbody');
         if (!tbody) return;
         
+        setupSelectionHeader();
+        
         if (!candidateList || candidateList.length === 0) {
-            tbody.innerHTML = `<tr><td colspan="8" class="text-center">No candidates in ${stage} stage</td></tr>`;
+            tbody.innerHTML = `<tr><td colspan="9" class="text-center">No candidates in ${stage} stage</td></tr>`;
+            updateBulkToolbar();
             return;
         }
         
@@ -546,6 +1049,7 @@ const HR = (function() {
         });
         
         tbody.innerHTML = html;
+        updateBulkToolbar();
     }
     
     /**
@@ -553,66 +1057,15 @@ const HR = (function() {
      */
     function renderCandidateRow(candidate, stage) {
         const statusBadge = getStatusBadge(candidate.status);
+        const actionButtons = renderActionButtons({ ...candidate, current_stage: candidate.current_stage || stage });
         
-        let actionButtons = '';
-        
-        switch(stage) {
-            case 'Shortlisting':
-                actionButtons = `
-                    <button class="btn btn-sm btn-primary btn-action" data-action="shortlist" title="Shortlist">
-                        <i class="fas fa-check"></i>
-                    </button>
-                `;
-                break;
-            case 'Telephonic':
-                actionButtons = `
-                    <button class="btn btn-sm btn-primary btn-action" data-action="telephonic" title="Update Status">
-                        <i class="fas fa-phone"></i>
-                    </button>
-                `;
-                break;
-            case 'Owner Discussion':
-                actionButtons = `
-                    <button class="btn btn-sm btn-primary btn-action" data-action="owner-discussion" title="Record Decision">
-                        <i class="fas fa-user-tie"></i>
-                    </button>
-                `;
-                break;
-            case 'Schedule Interview':
-                actionButtons = `
-                    <button class="btn btn-sm btn-primary btn-action" data-action="schedule" title="Schedule">
-                        <i class="fas fa-calendar-plus"></i>
-                    </button>
-                    <button class="btn btn-sm btn-secondary btn-message" data-message-type="interview" title="Generate Message">
-                        <i class="fas fa-comment"></i>
-                    </button>
-                `;
-                break;
-            case 'Walk-in':
-                actionButtons = `
-                    <button class="btn btn-sm btn-primary btn-action" data-action="walkin" title="Mark Arrived">
-                        <i class="fas fa-user-check"></i>
-                    </button>
-                `;
-                break;
-            case 'HR Interview':
-                actionButtons = `
-                    <button class="btn btn-sm btn-primary btn-action" data-action="hr-interview" title="Record Result">
-                        <i class="fas fa-clipboard-check"></i>
-                    </button>
-                `;
-                break;
-            case 'Tests':
-                actionButtons = `
-                    <button class="btn btn-sm btn-primary btn-action" data-action="test" title="Record Test">
-                        <i class="fas fa-file-alt"></i>
-                    </button>
-                `;
-                break;
-        }
+        const isSelected = selectedIds.has(String(candidate.id));
         
         return `
-            <tr data-candidate-id="${candidate.id}">
+            <tr data-candidate-id="${candidate.id}" class="${isSelected ? 'selected' : ''}">
+                <td>
+                    <input type="checkbox" class="row-checkbox" value="${candidate.id}" ${isSelected ? 'checked' : ''}>
+                </td>
                 <td>${Utils.escapeHtml(candidate.name)}</td>
                 <td>${candidate.mobile}</td>
                 <td>${Utils.escapeHtml(candidate.role)}</td>
@@ -621,19 +1074,58 @@ const HR = (function() {
                 <td>${statusBadge}</td>
                 <td>
                     <div class="action-buttons">
-                        <button class="btn btn-sm btn-icon btn-view" title="View Details">
+                        <button class="btn btn-sm btn-icon btn-view" data-permission="candidates:view" title="View Details">
                             <i class="fas fa-eye"></i>
                         </button>
                         ${actionButtons}
-                        <button class="btn btn-sm btn-icon btn-reject" title="Reject">
-                            <i class="fas fa-times"></i>
-                        </button>
                     </div>
                 </td>
             </tr>
         `;
     }
     
+    /**
+     * Render the action buttons Workflow allows for a candidate
+     */
+    function renderActionButtons(candidate) {
+        return Workflow.getActions(candidate).map(action => {
+            if (action === 'reject') {
+                return `
+                    <button class="btn btn-sm btn-icon btn-reject" data-permission="candidates:edit" title="Reject">
+                        <i class="fas fa-times"></i>
+                    </button>
+                `;
+            }
+            
+            const button = ACTION_BUTTONS[action];
+            if (!button) return '';
+            
+            const dataAttr = button.messageType
+                ? `data-message-type="${button.messageType}"`
+                : `data-action="${action}"`;
+            
+            return `
+                <button class="btn btn-sm ${button.className}" ${dataAttr} data-permission="candidates:edit" title="${button.title}">
+                    <i class="fas ${button.icon}"></i>
+                </button>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Check form data against the stage workflow before submitting.
+     * Shows why the update is blocked and returns false when it is.
+     */
+    function checkTransition(action, formData) {
+        const candidate = candidates.find(c => c.id === selectedCandidateId);
+        const result = Workflow.validate(action, candidate, formData);
+        
+        if (!result.valid) {
+            result.errors.forEach(err => Utils.showToast(err, 'warning'));
+        }
+        return result.valid;
+    }
+    
     /**
      * Get status badge HTML
      */
@@ -669,17 +1161,7 @@ const HR = (function() {
         
         if (!candidate) return;
         
-        const actionModals = {
-            'shortlist': 'shortlist-modal',
-            'telephonic': 'telephonic-modal',
-            'owner-discussion': 'owner-discussion-modal',
-            'schedule': 'schedule-modal',
-            'walkin': 'walkin-modal',
-            'hr-interview': 'hr-interview-modal',
-            'test': 'test-modal'
-        };
-        
-        const modalId = actionModals[action];
+        const modalId = ACTION_MODALS[action];
         if (modalId) {
             openActionModal(modalId, candidate);
         }
@@ -706,47 +1188,164 @@ const HR = (function() {
         const form = modal.querySelector('form');
         if (form) Utils.resetForm(form);
         
+        if (modalId === ACTION_MODALS.walkin && form) {
+            prepareWalkinForm(form, candidate);
+        }
+        
+        if (modalId === ACTION_MODALS.schedule && form && pickedSlot) {
+            fillScheduleSlot(form, pickedSlot);
+        }
+        
         Utils.openModal(modalId);
     }
     
     /**
-     * Handle telephonic form submit
+     * Handle shortlist form submit
      */
-    async function handleTelephonicSubmit(e) {
+    async function handleShortlistSubmit(e) {
         e.preventDefault();
         
         if (!Utils.validateForm(this)) return;
         
         const formData = Utils.getFormData(this);
+        if (!checkTransition('shortlist', formData)) return;
+        
+        if (formData.decision === 'Rejected') {
+            formData.rejection_tag = 'Shortlisting';
+        }
         
         try {
-            Auth.showLoadingOverlay('Updating telephonic status...');
-            await API.candidates.updateTelephonic(selectedCandidateId, formData);
-            Utils.showToast('Telephonic status updated', 'success');
+            Auth.showLoadingOverlay('Recording shortlisting decision...');
+            await API.candidates.shortlist(selectedCandidateId, formData);
+            Utils.showToast(`Shortlisting decision recorded: ${formData.decision}`, 'success');
             closeModals();
-            await loadCandidatesByStage('Telephonic');
+            await reloadCandidates('Shortlisting');
         } catch (error) {
             Auth.hideLoadingOverlay();
-            Utils.showToast('Failed to update status', 'error');
+            Utils.showToast('Failed to record decision', 'error');
         }
     }
     
     /**
-     * Handle owner discussion form submit
+     * Prefill walk-in arrival form for a candidate
      */
-    async function handleOwnerDiscussionSubmit(e) {
-        e.preventDefault();
-        
-        if (!Utils.validateForm(this)) return;
-        
-        const formData = Utils.getFormData(this);
+    function prepareWalkinForm(form, candidate) {
+        const timeInput = form.querySelector('[name="arrival_time"]');
+        if (timeInput) timeInput.value = Utils.getCurrentTime();
+        
+        const tokenHint = form.querySelector('.walkin-token-status');
+        if (tokenHint) {
+            tokenHint.textContent = candidate.walkin_token
+                ? 'Walk-in form received - ask the candidate for their token number.'
+                : 'No walk-in form found yet - the candidate must fill the walk-in form before arrival can be marked.';
+        }
         
-        try {
+        toggleNoShowFields(form);
+    }
+    
+    /**
+     * Disable arrival fields when the candidate is marked as no-show
+     */
+    function toggleNoShowFields(form) {
+        const noShow = form.querySelector('[name="no_show"]');
+        const isNoShow = !!(noShow && noShow.checked);
+        
+        ['arrival_time', 'token'].forEach(name => {
+            const field = form.querySelector(`[name="${name}"]`);
+            if (field) {
+                field.disabled = isNoShow;
+                field.required = !isNoShow;
+            }
+        });
+    }
+    
+    /**
+     * Handle walk-in arrival form submit
+     */
+    async function handleWalkinSubmit(e) {
+        e.preventDefault();
+        
+        if (!Utils.validateForm(this)) return;
+        
+        const formData = Utils.getFormData(this);
+        const candidate = candidates.find(c => c.id === selectedCandidateId);
+        const isNoShow = formData.no_show === 'on';
+        
+        const walkinData = isNoShow
+            ? { attendance: 'No Show', rejection_tag: 'No Show for Interview', notes: formData.notes }
+            : {
+                attendance: 'Arrived',
+                arrival_time: formData.arrival_time,
+                token: (formData.token || '').trim(),
+                notes: formData.notes
+            };
+        
+        if (!checkTransition('walkin', walkinData)) return;
+        
+        if (!isNoShow) {
+            if (!candidate.walkin_token) {
+                Utils.showToast(`${candidate.name} has not submitted the walk-in form yet`, 'warning');
+                return;
+            }
+            
+            if (walkinData.token.toUpperCase() !== String(candidate.walkin_token).toUpperCase()) {
+                Utils.showFieldError(this.querySelector('[name="token"]'), 'Token does not match the walk-in form submission');
+                return;
+            }
+        }
+        
+        try {
+            Auth.showLoadingOverlay(isNoShow ? 'Marking no-show...' : 'Marking arrival...');
+            await API.candidates.updateWalkin(selectedCandidateId, walkinData);
+            Utils.showToast(isNoShow ? `${candidate.name} marked as no-show` : `${candidate.name} marked as arrived`, 'success');
+            closeModals();
+            await reloadCandidates('Walk-in');
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast(error.message || 'Failed to update walk-in', 'error');
+        }
+    }
+    
+    /**
+     * Handle telephonic form submit
+     */
+    async function handleTelephonicSubmit(e) {
+        e.preventDefault();
+        
+        if (!Utils.validateForm(this)) return;
+        
+        const formData = Utils.getFormData(this);
+        if (!checkTransition('telephonic', formData)) return;
+        
+        try {
+            Auth.showLoadingOverlay('Updating telephonic status...');
+            await API.candidates.updateTelephonic(selectedCandidateId, formData);
+            Utils.showToast('Telephonic status updated', 'success');
+            closeModals();
+            await reloadCandidates('Telephonic');
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast('Failed to update status', 'error');
+        }
+    }
+    
+    /**
+     * Handle owner discussion form submit
+     */
+    async function handleOwnerDiscussionSubmit(e) {
+        e.preventDefault();
+        
+        if (!Utils.validateForm(this)) return;
+        
+        const formData = Utils.getFormData(this);
+        if (!checkTransition('owner-discussion', formData)) return;
+        
+        try {
             Auth.showLoadingOverlay('Recording owner decision...');
             await API.candidates.updateOwnerDiscussion(selectedCandidateId, formData);
             Utils.showToast('Owner decision recorded', 'success');
             closeModals();
-            await loadCandidatesByStage('Owner Discussion');
+            await reloadCandidates('Owner Discussion');
         } catch (error) {
             Auth.hideLoadingOverlay();
             Utils.showToast('Failed to record decision', 'error');
@@ -762,19 +1361,127 @@ const HR = (function() {
         if (!Utils.validateForm(this)) return;
         
         const formData = Utils.getFormData(this);
+        if (!checkTransition('schedule', formData)) return;
         
         try {
             Auth.showLoadingOverlay('Scheduling interview...');
-            await API.candidates.scheduleInterview(selectedCandidateId, formData);
+            
+            // Block double-booking of the slot
+            if (['Confirmed', 'Rescheduled'].includes(formData.status)) {
+                const conflict = await InterviewCalendar.findConflict(formData.interview_date, formData.interview_time, selectedCandidateId);
+                if (conflict) {
+                    Auth.hideLoadingOverlay();
+                    Utils.showToast(`${conflict.candidate_name} already has an interview at ${conflict.time} that day. Please pick another slot.`, 'error');
+                    return;
+                }
+            }
+            
+            const candidate = candidates.find(c => String(c.id) === String(selectedCandidateId));
+            
+            const response = await API.candidates.scheduleInterview(selectedCandidateId, formData);
             Utils.showToast('Interview scheduled', 'success');
             closeModals();
-            await loadCandidatesByStage('Schedule Interview');
+            pickedSlot = null;
+            await reloadCandidates('Schedule Interview');
+            await InterviewCalendar.refresh();
+            
+            if (candidate) {
+                await offerScheduleCalendarFile(candidate, formData, response.data);
+            }
         } catch (error) {
             Auth.hideLoadingOverlay();
             Utils.showToast('Failed to schedule interview', 'error');
         }
     }
     
+    // =========================================
+    // Interview Calendar
+    // =========================================
+    
+    /**
+     * Load the schedule-interviews page - candidate table and calendar
+     */
+    async function loadSchedulePage() {
+        await loadCandidatesByStage('Schedule Interview');
+        
+        await InterviewCalendar.init('#interview-calendar', {
+            onSlotSelect: handleSlotSelect,
+            onReschedule: async (interview, date, time, record) => {
+                await reloadCandidates('Schedule Interview');
+                await offerCalendarFile({ ...interview, date, time, updated_at: (record || {}).updated_at });
+            }
+        });
+    }
+    
+    /**
+     * Offer the calendar file matching a schedule form submission -
+     * an invite for a booked slot, a cancellation for a dropped one.
+     * record is the candidate as saved by the server.
+     */
+    async function offerScheduleCalendarFile(candidate, formData, record) {
+        const interview = {
+            candidate_id: candidate.id,
+            candidate_name: candidate.name,
+            role: candidate.role,
+            mobile: candidate.mobile,
+            date: formData.interview_date || candidate.interview_date,
+            time: formData.interview_time || candidate.interview_time,
+            updated_at: (record || {}).updated_at
+        };
+        
+        if (['Confirmed', 'Rescheduled'].includes(formData.status)) {
+            await offerCalendarFile(interview);
+        } else if (candidate.interview_date && candidate.interview_time) {
+            // The candidate had a slot that no longer stands
+            await offerCalendarFile(interview, true);
+        }
+    }
+    
+    /**
+     * Ask whether to download an .ics invite (or cancellation) for interviewers
+     */
+    async function offerCalendarFile(interview, cancelled = false) {
+        const confirmed = await Utils.confirm(
+            cancelled
+                ? `Download a calendar cancellation for ${interview.candidate_name}'s interview so interviewers can remove it?`
+                : `Download a calendar invite for ${interview.candidate_name}'s interview on ${Utils.formatDate(interview.date)} at ${interview.time}?`,
+            cancelled ? 'Calendar Cancellation' : 'Calendar Invite'
+        );
+        if (!confirmed) return;
+        
+        if (cancelled) {
+            ICS.downloadCancellation(interview);
+        } else {
+            ICS.downloadInterview(interview);
+        }
+    }
+    
+    /**
+     * Use a free calendar slot for the interview being scheduled
+     */
+    function handleSlotSelect(date, time) {
+        pickedSlot = { date, time };
+        
+        const modal = Utils.$(`#${ACTION_MODALS.schedule}`);
+        const form = modal && modal.querySelector('form');
+        
+        if (form && modal.classList.contains('active')) {
+            fillScheduleSlot(form, pickedSlot);
+        } else {
+            Utils.showToast(`${Utils.formatDate(date)} at ${time} picked - click Schedule on a candidate to book it`, 'info');
+        }
+    }
+    
+    /**
+     * Fill the schedule form with a calendar slot
+     */
+    function fillScheduleSlot(form, slot) {
+        const dateInput = form.querySelector('[name="interview_date"]');
+        const timeInput = form.querySelector('[name="interview_time"]');
+        if (dateInput) dateInput.value = slot.date;
+        if (timeInput) timeInput.value = slot.time;
+    }
+    
     /**
      * Handle HR interview form submit
      */
@@ -784,13 +1491,14 @@ const HR = (function() {
         if (!Utils.validateForm(this)) return;
         
         const formData = Utils.getFormData(this);
+        if (!checkTransition('hr-interview', formData)) return;
         
         try {
             Auth.showLoadingOverlay('Recording HR interview result...');
             await API.candidates.updateHRInterview(selectedCandidateId, formData);
             Utils.showToast('HR interview result recorded', 'success');
             closeModals();
-            await loadCandidatesByStage('HR Interview');
+            await reloadCandidates('HR Interview');
         } catch (error) {
             Auth.hideLoadingOverlay();
             Utils.showToast('Failed to record result', 'error');
@@ -806,13 +1514,14 @@ const HR = (function() {
         if (!Utils.validateForm(this)) return;
         
         const formData = Utils.getFormData(this);
+        if (!checkTransition('test', formData)) return;
         
         try {
             Auth.showLoadingOverlay('Recording test result...');
             await API.candidates.updateTests(selectedCandidateId, formData);
             Utils.showToast('Test result recorded', 'success');
             closeModals();
-            await loadCandidatesByStage('Tests');
+            await reloadCandidates('Tests');
         } catch (error) {
             Auth.hideLoadingOverlay();
             Utils.showToast('Failed to record result', 'error');
@@ -936,20 +1645,7 @@ const HR = (function() {
         const modal = Utils.$('#rejection-modal');
         if (!modal) return;
         
-        // Populate rejection tags
-        const tagsContainer = modal.querySelector('#rejection-tags');
-        if (tagsContainer) {
-            let html = '';
-            CONFIG.REJECTION_TAGS.forEach(tag => {
-                html += `
-                    <label class="tag-option">
-                        <input type="radio" name="rejection_tag" value="${tag}" required>
-                        <span>${tag}</span>
-                    </label>
-                `;
-            });
-            tagsContainer.innerHTML = html;
-        }
+        populateRejectionTags(modal);
         
         modal.querySelector('.candidate-name').textContent = candidate.name;
         Utils.openModal('rejection-modal');
@@ -960,13 +1656,14 @@ const HR = (function() {
             e.preventDefault();
             
             const formData = Utils.getFormData(form);
+            if (!checkTransition('reject', formData)) return;
             
             try {
                 Auth.showLoadingOverlay('Rejecting candidate...');
                 await API.candidates.reject(selectedCandidateId, formData);
                 Utils.showToast('Candidate rejected', 'success');
                 closeModals();
-                await loadCandidatesByStage(currentStage);
+                await reloadCandidates(currentStage);
             } catch (error) {
                 Auth.hideLoadingOverlay();
                 Utils.showToast('Failed to reject candidate', 'error');
@@ -974,6 +1671,25 @@ const HR = (function() {
         };
     }
     
+    /**
+     * Populate rejection tag options in the rejection modal
+     */
+    function populateRejectionTags(modal) {
+        const tagsContainer = modal.querySelector('#rejection-tags');
+        if (!tagsContainer) return;
+        
+        let html = '';
+        CONFIG.REJECTION_TAGS.forEach(tag => {
+            html += `
+                <label class="tag-option">
+                    <input type="radio" name="rejection_tag" value="${tag}" required>
+                    <span>${tag}</span>
+                </label>
+            `;
+        });
+        tagsContainer.innerHTML = html;
+    }
+    
     /**
      * Handle generate message
      */
@@ -986,11 +1702,17 @@ const HR = (function() {
             Auth.showLoadingOverlay('Generating message...');
             const response = await API.candidates.generateMessage(candidateId, messageType);
             
+            messageTarget = {
+                candidate: candidates.find(c => String(c.id) === candidateId),
+                messageType
+            };
+            
             // Show message in modal
             const modal = Utils.$('#message-modal');
             if (modal) {
                 const messageContent = modal.querySelector('#message-content');
                 messageContent.textContent = response.data.message;
+                addSendButtons(modal);
                 Utils.openModal('message-modal');
             }
             
@@ -1011,6 +1733,33 @@ const HR = (function() {
         }
     }
     
+    /**
+     * Add WhatsApp/SMS send buttons next to the Copy button
+     */
+    function addSendButtons(modal) {
+        const copyBtn = modal.querySelector('.btn-copy');
+        if (!copyBtn || modal.querySelector('.btn-send-message')) return;
+        
+        copyBtn.insertAdjacentHTML('afterend', `
+            <button type="button" class="btn btn-success btn-send-message" data-channel="whatsapp">
+                <i class="fab fa-whatsapp"></i> WhatsApp
+            </button>
+            <button type="button" class="btn btn-outline-primary btn-send-message" data-channel="sms">
+                <i class="fas fa-sms"></i> SMS
+            </button>
+        `);
+    }
+    
+    /**
+     * Send the generated message through WhatsApp or SMS
+     */
+    function handleSendMessage(e) {
+        const messageContent = Utils.$('#message-content');
+        if (!messageContent || !messageTarget || !messageTarget.candidate) return;
+        
+        Messaging.send(messageTarget.candidate, messageContent.textContent, this.dataset.channel, messageTarget.messageType);
+    }
+    
     /**
      * Handle candidate search
      */
@@ -1038,15 +1787,21 @@ const HR = (function() {
         const reqId = e.target.value;
         
         if (!reqId) {
-            await loadCandidatesByStage(currentStage);
+            await reloadCandidates(currentStage);
             return;
         }
         
         try {
             Auth.showLoadingOverlay('Filtering candidates...');
             const response = await API.candidates.getByRequirement(reqId);
-            const filtered = response.data.filter(c => c.current_stage === currentStage);
-            renderCandidatesTable(filtered, currentStage);
+            
+            if (currentStage === 'pipeline') {
+                renderPipelineBoard(response.data);
+            } else {
+                const filtered = response.data.filter(c => c.current_stage === currentStage);
+                renderCandidatesTable(filtered, currentStage);
+            }
+            
             Auth.hideLoadingOverlay();
         } catch (error) {
             Auth.hideLoadingOverlay();
@@ -1054,6 +1809,564 @@ const HR = (function() {
         }
     }
     
+    /**
+     * Reload candidates for the current view after an action
+     */
+    async function reloadCandidates(stage) {
+        if (currentStage === 'pipeline') {
+            await loadPipelineBoard();
+        } else {
+            await loadCandidatesByStage(stage);
+        }
+    }
+    
+    // =========================================
+    // Bulk Actions
+    // =========================================
+    
+    /**
+     * Add a select-all checkbox column to the candidates table header
+     */
+    function setupSelectionHeader() {
+        const table = Utils.$('.candidates-table');
+        const headerRow = table && Utils.$('thead tr', table);
+        if (!headerRow || Utils.$('.select-all-checkbox', headerRow)) return;
+        
+        table.classList.add('data-table-selectable');
+        const th = document.createElement('th');
+        th.innerHTML = '<input type="checkbox" class="select-all-checkbox" title="Select all">';
+        headerRow.insertBefore(th, headerRow.firstElementChild);
+    }
+    
+    /**
+     * Handle single row checkbox change
+     */
+    function handleRowSelect(e) {
+        const row = this.closest('tr');
+        if (this.checked) {
+            selectedIds.add(row.dataset.candidateId);
+        } else {
+            selectedIds.delete(row.dataset.candidateId);
+        }
+        row.classList.toggle('selected', this.checked);
+        updateBulkToolbar();
+    }
+    
+    /**
+     * Handle select-all checkbox change (visible rows only)
+     */
+    function handleSelectAll(e) {
+        Utils.$$('.candidates-table tbody tr[data-candidate-id]').forEach(row => {
+            if (row.style.display === 'none') return;
+            
+            const checkbox = Utils.$('.row-checkbox', row);
+            checkbox.checked = this.checked;
+            row.classList.toggle('selected', this.checked);
+            
+            if (this.checked) {
+                selectedIds.add(row.dataset.candidateId);
+            } else {
+                selectedIds.delete(row.dataset.candidateId);
+            }
+        });
+        updateBulkToolbar();
+    }
+    
+    /**
+     * Drop selected ids that are no longer loaded
+     */
+    function pruneSelection() {
+        const loadedIds = new Set(candidates.map(c => String(c.id)));
+        selectedIds = new Set([...selectedIds].filter(id => loadedIds.has(id)));
+    }
+    
+    /**
+     * Get selected candidate objects
+     */
+    function getSelectedCandidates() {
+        return candidates.filter(c => selectedIds.has(String(c.id)));
+    }
+    
+    /**
+     * Clear the current selection
+     */
+    function clearSelection() {
+        selectedIds.clear();
+        Utils.$$('.candidates-table .row-checkbox').forEach(cb => cb.checked = false);
+        Utils.$$('.candidates-table tbody tr.selected').forEach(row => row.classList.remove('selected'));
+        updateBulkToolbar();
+    }
+    
+    /**
+     * Keep only the candidates a bulk action failed for selected, so they
+     * can be retried
+     */
+    function selectFailed(results) {
+        selectedIds = new Set(results.filter(r => !r.ok).map(r => String(r.candidate.id)));
+        Utils.$$('.candidates-table tbody tr[data-candidate-id]').forEach(row => {
+            const selected = selectedIds.has(row.dataset.candidateId);
+            row.classList.toggle('selected', selected);
+            Utils.$('.row-checkbox', row).checked = selected;
+        });
+        updateBulkToolbar();
+    }
+    
+    /**
+     * Create the bulk toolbar above the candidates table
+     */
+    function getBulkToolbar() {
+        let toolbar = Utils.$('#bulk-toolbar');
+        if (toolbar) return toolbar;
+        
+        const table = Utils.$('.candidates-table');
+        if (!table) return null;
+        
+        let requirementOptions = '<option value="">Move to requirement...</option>';
+        requirements.forEach(req => {
+            requirementOptions += `<option value="${req.id}">${Utils.escapeHtml(req.id)} - ${Utils.escapeHtml(req.role)}</option>`;
+        });
+        
+        toolbar = document.createElement('div');
+        toolbar.id = 'bulk-toolbar';
+        toolbar.className = 'bulk-toolbar hidden';
+        toolbar.innerHTML = `
+            <span class="bulk-count"><strong id="bulk-selected-count">0</strong> selected</span>
+            <div class="bulk-actions" data-permission="candidates:edit">
+                <button type="button" class="btn btn-sm btn-primary" data-bulk="advance">
+                    <i class="fas fa-forward"></i> Advance Stage
+                </button>
+                <select class="form-control form-control-sm" id="bulk-requirement">${requirementOptions}</select>
+                <button type="button" class="btn btn-sm btn-secondary" data-bulk="reassign">
+                    <i class="fas fa-exchange-alt"></i> Move
+                </button>
+                <button type="button" class="btn btn-sm btn-secondary" data-bulk="message">
+                    <i class="fas fa-comment"></i> Generate Messages
+                </button>
+                <button type="button" class="btn btn-sm btn-danger" data-bulk="reject">
+                    <i class="fas fa-times"></i> Reject
+                </button>
+                <button type="button" class="btn btn-sm btn-link" data-bulk="clear">Clear</button>
+            </div>
+        `;
+        
+        table.parentNode.insertBefore(toolbar, table);
+        Utils.delegate(toolbar, '[data-bulk]', 'click', handleBulkAction);
+        return toolbar;
+    }
+    
+    /**
+     * Show selection count and toggle the bulk toolbar
+     */
+    function updateBulkToolbar() {
+        const toolbar = getBulkToolbar();
+        if (!toolbar) return;
+        
+        Utils.$('#bulk-selected-count', toolbar).textContent = selectedIds.size;
+        toolbar.classList.toggle('hidden', selectedIds.size === 0);
+        
+        const visibleRows = Utils.$$('.candidates-table tbody .row-checkbox');
+        const selectAll = Utils.$('.candidates-table .select-all-checkbox');
+        if (selectAll) {
+            selectAll.checked = visibleRows.length > 0 && visibleRows.every(cb => cb.checked);
+        }
+    }
+    
+    /**
+     * Handle bulk toolbar button click
+     */
+    function handleBulkAction(e) {
+        const action = this.dataset.bulk;
+        const selected = getSelectedCandidates();
+        
+        if (action === 'clear') {
+            clearSelection();
+            return;
+        }
+        
+        if (selected.length === 0) {
+            Utils.showToast('Please select candidates first', 'warning');
+            return;
+        }
+        
+        const handlers = {
+            'advance': bulkAdvance,
+            'reassign': bulkReassign,
+            'message': bulkGenerateMessages,
+            'reject': openBulkRejectionModal
+        };
+        
+        if (handlers[action]) {
+            handlers[action](selected);
+        }
+    }
+    
+    /**
+     * Run an API call for each candidate, collecting per-candidate results
+     */
+    async function runBulk(label, list, fn) {
+        const results = [];
+        
+        for (let i = 0; i < list.length; i++) {
+            const candidate = list[i];
+            Auth.showLoadingOverlay(`${label} (${i + 1}/${list.length})...`);
+            
+            try {
+                const detail = await fn(candidate);
+                results.push({ candidate, ok: true, detail });
+            } catch (error) {
+                results.push({ candidate, ok: false, error: error.message || 'Request failed' });
+            }
+        }
+        
+        Auth.hideLoadingOverlay();
+        return results;
+    }
+    
+    /**
+     * Advance selected candidates to their next stage where no extra data is needed
+     */
+    async function bulkAdvance(list) {
+        const results = await runBulk('Advancing candidates', list, async (candidate) => {
+            const nextStage = Workflow.getNextStage(candidate.current_stage);
+            const transition = nextStage
+                ? Workflow.canTransition(candidate, nextStage)
+                : { allowed: false, reason: `${candidate.current_stage} has no next stage` };
+            
+            if (!transition.allowed) {
+                throw new Error(transition.reason);
+            }
+            
+            const move = BOARD_MOVES[nextStage];
+            if (!move || !move.submit) {
+                throw new Error(`Moving to ${nextStage} needs details - please update this candidate individually`);
+            }
+            
+            await move.submit(candidate.id);
+            return `Moved to ${nextStage}`;
+        });
+        
+        await finishBulk('Advance Stage', results);
+    }
+    
+    /**
+     * Move selected candidates to another requirement
+     */
+    async function bulkReassign(list) {
+        const requirementId = Utils.$('#bulk-requirement').value;
+        if (!requirementId) {
+            Utils.showToast('Please select a requirement to move to', 'warning');
+            return;
+        }
+        
+        const results = await runBulk('Moving candidates', list, async (candidate) => {
+            if (candidate.requirement_id === requirementId) {
+                throw new Error(`Already in ${requirementId}`);
+            }
+            await API.candidates.reassign(candidate.id, requirementId);
+            return `Moved to ${requirementId}`;
+        });
+        
+        await finishBulk('Move to Requirement', results);
+    }
+    
+    /**
+     * Generate interview messages for selected candidates. Only candidates
+     * in Schedule Interview get one, as on a single row.
+     */
+    async function bulkGenerateMessages(list) {
+        const messageType = ACTION_BUTTONS.message.messageType;
+        const messages = new Map();
+        
+        const results = await runBulk('Generating messages', list, async (candidate) => {
+            if (!Workflow.getActions(candidate).includes('message')) {
+                throw new Error(`${candidate.name} is in ${candidate.current_stage} - interview messages are only sent in Schedule Interview`);
+            }
+            
+            const response = await API.candidates.generateMessage(candidate.id, messageType);
+            messages.set(candidate.id, response.data.message);
+            return 'Message generated';
+        });
+        
+        selectFailed(results);
+        
+        // Walk through the generated messages one by one
+        const startQueue = () => Messaging.startQueue(results.filter(r => r.ok).map(r => ({
+            candidate: r.candidate,
+            message: messages.get(r.candidate.id),
+            messageType
+        })));
+        
+        if (results.some(r => !r.ok)) {
+            showBulkResults('Generate Messages', results, undefined, startQueue);
+        } else {
+            startQueue();
+        }
+    }
+    
+    /**
+     * Open rejection modal for several candidates
+     */
+    function openBulkRejectionModal(list) {
+        const modal = Utils.$('#rejection-modal');
+        if (!modal) return;
+        
+        populateRejectionTags(modal);
+        modal.querySelector('.candidate-name').textContent = `${list.length} candidates`;
+        Utils.openModal('rejection-modal');
+        
+        const form = modal.querySelector('#rejection-form');
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            
+            const formData = Utils.getFormData(form);
+            if (!CONFIG.REJECTION_TAGS.includes(formData.rejection_tag)) {
+                Utils.showToast('Please pick a rejection reason from the list.', 'warning');
+                return;
+            }
+            
+            closeModals();
+            
+            const results = await runBulk('Rejecting candidates', list, async (candidate) => {
+                const check = Workflow.validate('reject', candidate, formData);
+                if (!check.valid) {
+                    throw new Error(check.errors[0]);
+                }
+                await API.candidates.reject(candidate.id, formData);
+                return formData.rejection_tag;
+            });
+            
+            await finishBulk('Reject Candidates', results);
+        };
+    }
+    
+    /**
+     * Report bulk results, reload, and keep failed candidates selected for retry
+     */
+    async function finishBulk(title, results) {
+        selectFailed(results);
+        showBulkResults(title, results);
+        await reloadCandidates(currentStage);
+    }
+    
+    /**
+     * Show per-candidate success/failure of a bulk action.
+     * retryNote tells the user how to retry the failures; onClose runs when
+     * the results are closed.
+     */
+    function showBulkResults(title, results, retryNote = 'failed candidates are still selected so you can retry.', onClose = null) {
+        const succeeded = results.filter(r => r.ok).length;
+        const failed = results.length - succeeded;
+        
+        if (failed === 0) {
+            Utils.showToast(`${title}: all ${succeeded} succeeded`, 'success');
+        } else {
+            Utils.showToast(`${title}: ${succeeded} succeeded, ${failed} failed`, succeeded ? 'warning' : 'error');
+        }
+        
+        const existing = Utils.$('#bulk-results-modal');
+        if (existing) existing.remove();
+        
+        let listHtml = '';
+        results.forEach(result => {
+            listHtml += `
+                <li class="bulk-result ${result.ok ? 'bulk-result-success' : 'bulk-result-error'}">
+                    <i class="fas ${result.ok ? 'fa-check-circle' : 'fa-exclamation-circle'}"></i>
+                    <div class="bulk-result-body">
+                        <strong>${Utils.escapeHtml(result.candidate.name)}</strong>
+                        <p class="bulk-result-detail">${Utils.escapeHtml(result.ok ? result.detail : result.error)}</p>
+                    </div>
+                </li>
+            `;
+        });
+        
+        const modal = document.createElement('div');
+        modal.id = 'bulk-results-modal';
+        modal.className = 'modal modal-lg';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">${Utils.escapeHtml(title)}</h3>
+                    <button type="button" class="modal-close"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body">
+                    <p>${succeeded} succeeded, ${failed} failed${failed ? ` - ${retryNote}` : '.'}</p>
+                    <ul class="bulk-results">${listHtml}</ul>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary modal-close">Close</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        Utils.addEventListeners('.modal-close, .modal-overlay', 'click', () => {
+            modal.remove();
+            document.body.classList.remove('modal-open');
+            if (onClose) onClose();
+        }, modal);
+        Utils.openModal(modal);
+    }
+    
+    // =========================================
+    // Pipeline Board
+    // =========================================
+    
+    /**
+     * Load all candidates onto the pipeline board
+     */
+    async function loadPipelineBoard() {
+        try {
+            Auth.showLoadingOverlay('Loading pipeline...');
+            const response = await API.candidates.getAll();
+            candidates = response.data;
+            renderPipelineBoard(candidates);
+            Auth.hideLoadingOverlay();
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast('Failed to load pipeline', 'error');
+        }
+    }
+    
+    /**
+     * Render one column per candidate stage
+     */
+    function renderPipelineBoard(candidateList) {
+        const board = Utils.$('#pipeline-board');
+        if (!board) return;
+        
+        let html = '';
+        CONFIG.CANDIDATE_STAGES.forEach(stage => {
+            const stageCandidates = (candidateList || []).filter(c => c.current_stage === stage);
+            
+            html += `
+                <div class="board-column" data-stage="${stage}">
+                    <div class="board-column-header">
+                        <span class="board-column-title">${stage}</span>
+                        <span class="badge">${stageCandidates.length}</span>
+                    </div>
+                    <div class="board-column-body">
+                        ${stageCandidates.map(renderBoardCard).join('') || '<p class="board-empty">No candidates</p>'}
+                    </div>
+                </div>
+            `;
+        });
+        
+        board.innerHTML = html;
+    }
+    
+    /**
+     * Render a draggable candidate card
+     */
+    function renderBoardCard(candidate) {
+        return `
+            <div class="board-card" draggable="true" data-candidate-id="${candidate.id}">
+                <p class="board-card-name">${Utils.escapeHtml(candidate.name)}</p>
+                <p class="board-card-meta">${Utils.escapeHtml(candidate.role)} &middot; ${Utils.escapeHtml(candidate.source)}</p>
+                <div class="board-card-footer">
+                    ${getStatusBadge(candidate.status)}
+                    <span class="board-card-date">${Utils.formatDate(candidate.created_date)}</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Setup drag and drop on the pipeline board
+     */
+    function setupPipelineBoard(board) {
+        board.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.board-card');
+            if (!card) return;
+            
+            draggedCandidateId = card.dataset.candidateId;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedCandidateId);
+            card.classList.add('dragging');
+        });
+        
+        board.addEventListener('dragend', (e) => {
+            const card = e.target.closest('.board-card');
+            if (card) card.classList.remove('dragging');
+            Utils.$$('.board-column.drag-over', board).forEach(col => col.classList.remove('drag-over'));
+            draggedCandidateId = null;
+        });
+        
+        board.addEventListener('dragover', (e) => {
+            const column = e.target.closest('.board-column');
+            if (!column || !draggedCandidateId) return;
+            
+            e.preventDefault();
+            column.classList.add('drag-over');
+        });
+        
+        board.addEventListener('dragleave', (e) => {
+            const column = e.target.closest('.board-column');
+            if (column && !column.contains(e.relatedTarget)) {
+                column.classList.remove('drag-over');
+            }
+        });
+        
+        board.addEventListener('drop', (e) => {
+            const column = e.target.closest('.board-column');
+            if (!column) return;
+            
+            e.preventDefault();
+            column.classList.remove('drag-over');
+            
+            const candidateId = e.dataTransfer.getData('text/plain') || draggedCandidateId;
+            handleBoardDrop(candidateId, column.dataset.stage);
+        });
+        
+        Utils.delegate(board, '.board-card', 'click', function() {
+            const candidate = candidates.find(c => c.id === this.dataset.candidateId);
+            if (candidate) {
+                openCandidateDetailModal(candidate);
+            }
+        });
+    }
+    
+    /**
+     * Handle a card dropped on a stage column
+     */
+    async function handleBoardDrop(candidateId, targetStage) {
+        const candidate = candidates.find(c => c.id === candidateId);
+        if (!candidate || candidate.current_stage === targetStage) return;
+        
+        const transition = Workflow.canTransition(candidate, targetStage);
+        if (!transition.allowed) {
+            Utils.showToast(transition.reason, 'warning');
+            return;
+        }
+        
+        if (targetStage === 'Rejected') {
+            openRejectionModal(candidate);
+            return;
+        }
+        
+        const move = BOARD_MOVES[targetStage];
+        if (!move) {
+            Utils.showToast(`${targetStage} cannot be set from the board`, 'warning');
+            return;
+        }
+        
+        if (move.action) {
+            selectedCandidateId = candidate.id;
+            openActionModal(ACTION_MODALS[move.action], candidate);
+            return;
+        }
+        
+        try {
+            Auth.showLoadingOverlay(`Moving ${candidate.name} to ${targetStage}...`);
+            await move.submit(candidate.id);
+            Utils.showToast(`${candidate.name} moved to ${targetStage}`, 'success');
+            await loadPipelineBoard();
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast(error.message || 'Failed to move candidate', 'error');
+        }
+    }
+    
     /**
      * Close all modals
      */
@@ -1068,7 +2381,9 @@ const HR = (function() {
     return {
         init,
         loadCandidatesByStage,
+        loadPipelineBoard,
         removeFile,
+        cancelFile,
         loadRequirements
     };
 })();
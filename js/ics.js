@@ -0,0 +1,236 @@
+/**
+ * HRMS ICS Module
+ * Builds iCalendar (RFC 5545) files for scheduled interviews so interviewers
+ * can add them to their calendars. Each interview keeps a stable UID so a
+ * rescheduled or cancelled invite replaces the event it was sent for.
+ */
+
+const ICS = (function() {
+    'use strict';
+    
+    /**
+     * Escape a TEXT value (RFC 5545 3.3.11)
+     */
+    function escapeText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+    
+    /**
+     * Fold a content line at 75 octets (RFC 5545 3.1)
+     */
+    function foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let limit = 75;
+        
+        for (const char of line) {
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = char;
+                limit = 74; // Continuation lines start with a space
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+        
+        return parts.join('\r\n ');
+    }
+    
+    /**
+     * Format YYYY-MM-DD and HH:mm as a local DATE-TIME (YYYYMMDDTHHMMSS)
+     */
+    function formatLocal(date, time) {
+        return `${date.replace(/-/g, '')}T${time.replace(':', '').slice(0, 4)}00`;
+    }
+    
+    /**
+     * Format a Date as a UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+     */
+    function formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+    
+    /**
+     * Add minutes to a date and time, returning the local DATE-TIME
+     */
+    function addMinutes(date, time, minutes) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, mins] = time.split(':').map(Number);
+        
+        // Work in UTC so the browser's own time zone does not matter
+        const end = new Date(Date.UTC(year, month - 1, day, hours, mins + minutes));
+        return formatUtc(end).slice(0, 15);
+    }
+    
+    /**
+     * Stable UID of a candidate's interview
+     */
+    function getUid(interview) {
+        const domain = CONFIG.COMPANY.EMAIL.split('@')[1];
+        return `interview-${interview.candidate_id}@${domain}`;
+    }
+    
+    /**
+     * Check that an interview carries the server record's last change time
+     */
+    function hasRevision(interview) {
+        return !Number.isNaN(Date.parse(interview.updated_at));
+    }
+    
+    /**
+     * Get the SEQUENCE for an event from the server record's last change
+     * (seconds since the epoch), so every browser exports the same revision
+     * and every change to the record raises it
+     */
+    function getSequence(interview) {
+        if (!hasRevision(interview)) {
+            throw new Error(`Interview of ${interview.candidate_name} has no updated_at`);
+        }
+        return Math.floor(Date.parse(interview.updated_at) / 1000);
+    }
+    
+    /**
+     * Time zone definition for the company's local time (no daylight saving)
+     */
+    function buildTimezone() {
+        const tz = CONFIG.TIMEZONE;
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${tz.ID}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${tz.OFFSET}`,
+            `TZOFFSETTO:${tz.OFFSET}`,
+            `TZNAME:${tz.NAME}`,
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    }
+    
+    /**
+     * Build the VEVENT lines for an interview
+     * ({ candidate_id, candidate_name, role, date, time, updated_at, mobile? })
+     */
+    function buildEvent(interview, cancelled) {
+        const uid = getUid(interview);
+        const start = formatLocal(interview.date, interview.time);
+        const end = addMinutes(interview.date, interview.time, CONFIG.INTERVIEW_HOURS.SLOT_MINUTES);
+        const sequence = getSequence(interview);
+        const company = CONFIG.COMPANY;
+        
+        const description = [
+            `Candidate: ${interview.candidate_name}`,
+            `Role: ${interview.role}`,
+            interview.mobile ? `Mobile: ${interview.mobile}` : '',
+            `Venue: ${company.NAME}, ${company.ADDRESS}`
+        ].filter(Boolean).join('\n');
+        
+        return [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `SEQUENCE:${sequence}`,
+            `DTSTAMP:${formatUtc(new Date())}`,
+            `DTSTART;TZID=${CONFIG.TIMEZONE.ID}:${start}`,
+            `DTEND;TZID=${CONFIG.TIMEZONE.ID}:${end}`,
+            `SUMMARY:${escapeText(`${cancelled ? 'Cancelled: ' : ''}Interview - ${interview.candidate_name} (${interview.role})`)}`,
+            `DESCRIPTION:${escapeText(description)}`,
+            `LOCATION:${escapeText(`${company.NAME}, ${company.ADDRESS}`)}`,
+            `ORGANIZER;CN=${escapeText(company.NAME)}:mailto:${company.EMAIL}`,
+            `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        ];
+    }
+    
+    /**
+     * Build a VCALENDAR for one or more interviews. The files list no
+     * attendees, so they are published rather than sent as iTIP requests;
+     * a cancellation is the same event with STATUS:CANCELLED.
+     */
+    function build(interviews, cancelled = false) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${CONFIG.COMPANY.NAME}//HRMS//EN`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            ...buildTimezone()
+        ];
+        
+        interviews.forEach(interview => {
+            lines.push(...buildEvent(interview, cancelled));
+        });
+        
+        lines.push('END:VCALENDAR');
+        
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Make a file-name-safe slug
+     */
+    function slug(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+    
+    /**
+     * Download a calendar file. Without the server's last change time the
+     * SEQUENCE could go backwards, so no file is made.
+     */
+    function download(interviews, cancelled, filename) {
+        const missing = interviews.find(interview => !hasRevision(interview));
+        if (missing) {
+            Utils.showToast(`No calendar file made: the server did not say when ${missing.candidate_name}'s interview last changed. Please reload and try again.`, 'error');
+            return false;
+        }
+        
+        Utils.downloadBlob(build(interviews, cancelled), filename, 'text/calendar;charset=utf-8');
+        return true;
+    }
+    
+    /**
+     * Download an invite (or update) for a single interview
+     */
+    function downloadInterview(interview) {
+        return download([interview], false, `interview-${slug(interview.candidate_name)}-${interview.date}.ics`);
+    }
+    
+    /**
+     * Download a cancellation for a previously exported interview
+     */
+    function downloadCancellation(interview) {
+        return download([interview], true, `cancelled-interview-${slug(interview.candidate_name)}.ics`);
+    }
+    
+    /**
+     * Download all interviews of a day as one calendar file
+     */
+    function downloadDaySchedule(date, interviews) {
+        const dayInterviews = interviews
+            .filter(interview => interview.date === date)
+            .sort((a, b) => a.time.localeCompare(b.time));
+        
+        if (dayInterviews.length === 0) {
+            Utils.showToast(`No interviews on ${Utils.formatDate(date)}`, 'info');
+            return;
+        }
+        
+        return download(dayInterviews, false, `interviews-${date}.ics`);
+    }
+    
+    // Public API
+    return {
+        build,
+        downloadInterview,
+        downloadCancellation,
+        downloadDaySchedule
+    };
+})();
+
+// Make ICS globally available
+window.ICS = ICS;
@@ -0,0 +1,457 @@
+/**
+ * HRMS Interview Calendar Module
+ * Day/week calendar of booked interviews and available slots on the
+ * schedule-interviews page, with double-booking checks and drag-to-reschedule
+ */
+
+const InterviewCalendar = (function() {
+    'use strict';
+    
+    // Interviews in these statuses hold their slot
+    const BOOKED_STATUSES = ['Pending', 'Confirmed', 'Rescheduled'];
+    
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    let container = null;
+    let view = 'week';
+    let anchorDate = null;
+    let interviews = [];
+    let slotsByDate = {};
+    let draggedInterview = null;
+    let onSlotSelect = null;
+    let onReschedule = null;
+    
+    // =========================================
+    // Date & Time Helpers
+    // =========================================
+    
+    /**
+     * Parse YYYY-MM-DD as a local date (new Date('YYYY-MM-DD') is UTC)
+     */
+    function parseDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    
+    /**
+     * Add days to a YYYY-MM-DD date
+     */
+    function addDays(value, days) {
+        const date = parseDate(value);
+        date.setDate(date.getDate() + days);
+        return Utils.formatDate(date, 'YYYY-MM-DD');
+    }
+    
+    /**
+     * Whole days from one YYYY-MM-DD date to another
+     */
+    function daysBetween(from, to) {
+        return Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000));
+    }
+    
+    /**
+     * Convert HH:mm to minutes since midnight
+     */
+    function toMinutes(time) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+    
+    /**
+     * Convert minutes since midnight to HH:mm
+     */
+    function toTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Round a time down to the start of its calendar slot
+     */
+    function getSlotStart(time) {
+        const slot = CONFIG.INTERVIEW_HOURS.SLOT_MINUTES;
+        return toTime(Math.floor(toMinutes(time) / slot) * slot);
+    }
+    
+    /**
+     * Get the slot start times of a working day
+     */
+    function getDaySlots() {
+        const hours = CONFIG.INTERVIEW_HOURS;
+        const slots = [];
+        for (let m = toMinutes(hours.START); m < toMinutes(hours.END); m += hours.SLOT_MINUTES) {
+            slots.push(toTime(m));
+        }
+        return slots;
+    }
+    
+    /**
+     * Check whether a slot has already started
+     */
+    function isPast(date, time) {
+        return `${date} ${time}` < `${Utils.getToday()} ${Utils.getCurrentTime()}`;
+    }
+    
+    /**
+     * Get the dates shown in the current view
+     */
+    function getVisibleDates() {
+        if (view === 'day') return [anchorDate];
+        
+        // Weeks start on Monday
+        const offset = (parseDate(anchorDate).getDay() + 6) % 7;
+        const monday = addDays(anchorDate, -offset);
+        return Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+    }
+    
+    // =========================================
+    // Data
+    // =========================================
+    
+    /**
+     * Normalize available slots from the API (strings or { time } objects)
+     */
+    function normalizeSlots(data) {
+        return new Set((data || []).map(slot => getSlotStart(typeof slot === 'string' ? slot : slot.time)));
+    }
+    
+    /**
+     * Load interviews up to a date. The API only returns upcoming
+     * interviews, so earlier ones are not shown.
+     */
+    async function fetchInterviews(untilDate) {
+        const days = daysBetween(Utils.getToday(), untilDate) + 1;
+        if (days < 1) return [];
+        
+        const response = await API.dashboard.getUpcomingInterviews(days);
+        return (response.data || []).filter(interview =>
+            interview.date && interview.time && BOOKED_STATUSES.includes(interview.status)
+        );
+    }
+    
+    /**
+     * Load interviews and available slots for the visible dates
+     */
+    async function load() {
+        const dates = getVisibleDates();
+        const upcomingDates = dates.filter(date => date >= Utils.getToday());
+        
+        try {
+            const [booked, slotLists] = await Promise.all([
+                fetchInterviews(dates[dates.length - 1]),
+                Promise.all(upcomingDates.map(date =>
+                    API.walkin.getAvailableSlots(date).then(r => r.data).catch(() => null)
+                ))
+            ]);
+            
+            interviews = booked;
+            slotsByDate = {};
+            upcomingDates.forEach((date, i) => {
+                if (slotLists[i]) slotsByDate[date] = normalizeSlots(slotLists[i]);
+            });
+        } catch (error) {
+            console.error('Error loading interview calendar:', error);
+            Utils.showToast('Failed to load interview calendar', 'error');
+        }
+        
+        render();
+    }
+    
+    /**
+     * Get the interview booked by another candidate in the same slot, if any
+     */
+    function getConflict(list, date, time, candidateId) {
+        const slot = getSlotStart(time);
+        return list.find(interview =>
+            interview.date === date &&
+            getSlotStart(interview.time) === slot &&
+            String(interview.candidate_id) !== String(candidateId)
+        ) || null;
+    }
+    
+    /**
+     * Find an interview that would clash with booking a candidate at a date
+     * and time. Checks the server, not just the visible calendar.
+     */
+    async function findConflict(date, time, candidateId) {
+        const booked = await fetchInterviews(date);
+        return getConflict(booked, date, time, candidateId);
+    }
+    
+    // =========================================
+    // Rendering
+    // =========================================
+    
+    /**
+     * Render the calendar
+     */
+    function render() {
+        if (!container) return;
+        
+        const dates = getVisibleDates();
+        const title = view === 'day'
+            ? Utils.formatDate(parseDate(anchorDate))
+            : `${Utils.formatDate(parseDate(dates[0]))} - ${Utils.formatDate(parseDate(dates[6]))}`;
+        
+        let html = `
+            <div class="calendar-toolbar">
+                <div class="calendar-nav">
+                    <button type="button" class="btn btn-sm btn-secondary" data-calendar-nav="-1" title="Previous"><i class="fas fa-chevron-left"></i></button>
+                    <button type="button" class="btn btn-sm btn-secondary" data-calendar-nav="0">Today</button>
+                    <button type="button" class="btn btn-sm btn-secondary" data-calendar-nav="1" title="Next"><i class="fas fa-chevron-right"></i></button>
+                    <h3 class="calendar-title">${title}</h3>
+                </div>
+                <div class="calendar-views">
+                    <button type="button" class="btn btn-sm ${view === 'day' ? 'btn-primary' : 'btn-secondary'}" data-calendar-view="day">Day</button>
+                    <button type="button" class="btn btn-sm ${view === 'week' ? 'btn-primary' : 'btn-secondary'}" data-calendar-view="week">Week</button>
+                </div>
+            </div>
+            <div class="calendar-grid-wrapper">
+                <table class="calendar-grid calendar-${view}">
+                    <thead>
+                        <tr>
+                            <th class="calendar-time-col"></th>
+        `;
+        
+        dates.forEach(date => {
+            html += `
+                <th class="${date === Utils.getToday() ? 'is-today' : ''}">
+                    ${DAY_NAMES[parseDate(date).getDay()]} ${Utils.formatDate(parseDate(date)).slice(0, 6)}
+                    <button type="button" class="calendar-ics-btn" data-ics-date="${date}" title="Download day schedule (.ics)">
+                        <i class="fas fa-calendar-plus"></i>
+                    </button>
+                </th>
+            `;
+        });
+        
+        html += '</tr></thead><tbody>';
+        
+        getDaySlots().forEach(time => {
+            html += `<tr><th class="calendar-time-col">${time}</th>`;
+            
+            dates.forEach(date => {
+                html += renderCell(date, time);
+            });
+            
+            html += '</tr>';
+        });
+        
+        html += '</tbody></table></div>';
+        
+        container.innerHTML = html;
+    }
+    
+    /**
+     * Render one slot of one day
+     */
+    function renderCell(date, time) {
+        const booked = interviews.filter(i => i.date === date && getSlotStart(i.time) === time);
+        const past = isPast(date, time);
+        const slots = slotsByDate[date];
+        const available = !past && booked.length === 0 && (!slots || slots.has(time));
+        
+        const classes = ['calendar-cell'];
+        if (past) classes.push('is-past');
+        if (booked.length > 0) classes.push('is-booked');
+        if (available) classes.push('is-available');
+        if (booked.length > 1) classes.push('has-conflict');
+        
+        let chips = '';
+        booked.forEach(interview => {
+            chips += `
+                <div class="calendar-event status-${interview.status.toLowerCase()}"
+                     draggable="${!past}"
+                     data-candidate-id="${interview.candidate_id}"
+                     title="${Utils.escapeHtml(`${interview.candidate_name} - ${interview.role} (${interview.status}) at ${interview.time}`)}">
+                    <span class="calendar-event-name">
+                        ${Utils.escapeHtml(interview.candidate_name)}
+                        <button type="button" class="calendar-ics-btn" data-ics-candidate="${interview.candidate_id}" title="Download invite (.ics)">
+                            <i class="fas fa-calendar-plus"></i>
+                        </button>
+                    </span>
+                    <span class="calendar-event-role">${Utils.escapeHtml(interview.role)}</span>
+                </div>
+            `;
+        });
+        
+        return `<td class="${classes.join(' ')}" data-date="${date}" data-time="${time}">${chips}</td>`;
+    }
+    
+    // =========================================
+    // Interaction
+    // =========================================
+    
+    /**
+     * Setup toolbar, slot selection and drag-to-reschedule
+     */
+    function setupEventListeners() {
+        Utils.delegate(container, '[data-calendar-nav]', 'click', function() {
+            const step = parseInt(this.dataset.calendarNav, 10);
+            anchorDate = step === 0 ? Utils.getToday() : addDays(anchorDate, step * (view === 'day' ? 1 : 7));
+            load();
+        });
+        
+        Utils.delegate(container, '[data-calendar-view]', 'click', function() {
+            view = this.dataset.calendarView;
+            load();
+        });
+        
+        // Calendar files for interviewers
+        Utils.delegate(container, '[data-ics-date]', 'click', function() {
+            ICS.downloadDaySchedule(this.dataset.icsDate, interviews);
+        });
+        
+        Utils.delegate(container, '[data-ics-candidate]', 'click', function(e) {
+            e.stopPropagation();
+            const interview = interviews.find(i => String(i.candidate_id) === this.dataset.icsCandidate);
+            if (interview) ICS.downloadInterview(interview);
+        });
+        
+        Utils.delegate(container, '.calendar-cell.is-available', 'click', function() {
+            if (onSlotSelect) onSlotSelect(this.dataset.date, this.dataset.time);
+        });
+        
+        container.addEventListener('dragstart', (e) => {
+            const chip = e.target.closest('.calendar-event');
+            if (!chip) return;
+            
+            draggedInterview = interviews.find(i => String(i.candidate_id) === chip.dataset.candidateId);
+            chip.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', chip.dataset.candidateId);
+        });
+        
+        container.addEventListener('dragend', (e) => {
+            const chip = e.target.closest('.calendar-event');
+            if (chip) chip.classList.remove('dragging');
+            Utils.$$('.calendar-cell.drag-over', container).forEach(cell => cell.classList.remove('drag-over'));
+            draggedInterview = null;
+        });
+        
+        container.addEventListener('dragover', (e) => {
+            const cell = e.target.closest('.calendar-cell');
+            if (!cell || !draggedInterview || cell.classList.contains('is-past')) return;
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            cell.classList.add('drag-over');
+        });
+        
+        container.addEventListener('dragleave', (e) => {
+            const cell = e.target.closest('.calendar-cell');
+            if (cell && !cell.contains(e.relatedTarget)) {
+                cell.classList.remove('drag-over');
+            }
+        });
+        
+        container.addEventListener('drop', (e) => {
+            const cell = e.target.closest('.calendar-cell');
+            if (!cell || !draggedInterview) return;
+            
+            e.preventDefault();
+            cell.classList.remove('drag-over');
+            handleDrop(draggedInterview, cell.dataset.date, cell.dataset.time);
+        });
+    }
+    
+    /**
+     * Reschedule an interview dropped on another slot
+     */
+    async function handleDrop(interview, date, time) {
+        if (interview.date === date && getSlotStart(interview.time) === time) return;
+        
+        if (isPast(date, time)) {
+            Utils.showToast('Interviews cannot be moved into the past', 'warning');
+            return;
+        }
+        
+        const slots = slotsByDate[date];
+        if (slots && !slots.has(time)) {
+            Utils.showToast(`${time} on ${Utils.formatDate(parseDate(date))} is not an available slot`, 'warning');
+            return;
+        }
+        
+        const data = { status: 'Rescheduled', interview_date: date, interview_time: time };
+        
+        // A confirmed candidate has moved on to Walk-in; the schedule can
+        // only be changed while they are still in Schedule Interview
+        try {
+            const response = await API.candidates.getById(interview.candidate_id);
+            const result = Workflow.validate('schedule', response.data, data);
+            if (!result.valid) {
+                result.errors.forEach(err => Utils.showToast(err, 'warning'));
+                return;
+            }
+        } catch (error) {
+            Utils.showToast('Could not check the candidate. Please try again.', 'error');
+            return;
+        }
+        
+        try {
+            const conflict = await findConflict(date, time, interview.candidate_id);
+            if (conflict) {
+                Utils.showToast(`${conflict.candidate_name} already has an interview at ${conflict.time} on ${Utils.formatDate(parseDate(date))}`, 'error');
+                return;
+            }
+        } catch (error) {
+            Utils.showToast('Could not check the slot. Please try again.', 'error');
+            return;
+        }
+        
+        const confirmed = await Utils.confirm(
+            `Move ${interview.candidate_name}'s interview from ${Utils.formatDate(parseDate(interview.date))} ${interview.time} to ${Utils.formatDate(parseDate(date))} ${time}?`,
+            'Reschedule Interview'
+        );
+        if (!confirmed) return;
+        
+        try {
+            Auth.showLoadingOverlay('Rescheduling interview...');
+            const response = await API.candidates.scheduleInterview(interview.candidate_id, data);
+            Auth.hideLoadingOverlay();
+            
+            Utils.showToast('Interview rescheduled', 'success');
+            if (onReschedule) onReschedule(interview, date, time, response.data);
+            await load();
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast('Failed to reschedule interview', 'error');
+        }
+    }
+    
+    /**
+     * Initialize the calendar in a container.
+     *
+     * Options:
+     *   onSlotSelect(date, time) - an available slot was clicked
+     *   onReschedule(interview, date, time, record) - an interview was moved
+     *     (record is the candidate as saved by the server)
+     */
+    function init(selector, options = {}) {
+        container = Utils.$(selector);
+        if (!container) return;
+        
+        anchorDate = Utils.getToday();
+        onSlotSelect = options.onSlotSelect || null;
+        onReschedule = options.onReschedule || null;
+        
+        setupEventListeners();
+        return load();
+    }
+    
+    /**
+     * Reload the calendar. Does nothing on pages where it was not initialized.
+     */
+    function refresh() {
+        if (!container) return Promise.resolve();
+        return load();
+    }
+    
+    // Public API
+    return {
+        init,
+        refresh,
+        findConflict
+    };
+})();
+
+// Make InterviewCalendar globally available
+window.InterviewCalendar = InterviewCalendar;
@@ -0,0 +1,235 @@
+/**
+ * HRMS Messaging Module
+ * Opens generated candidate messages in WhatsApp (wa.me) and SMS (sms:)
+ * links, one at a time or as a queue, and logs each to the candidate's
+ * timeline. Whether the message was then actually sent is not known here.
+ */
+
+const Messaging = (function() {
+    'use strict';
+    
+    const CHANNEL_LABELS = {
+        whatsapp: 'WhatsApp',
+        sms: 'SMS'
+    };
+    
+    let queue = [];
+    let queueIndex = 0;
+    
+    /**
+     * Get a mobile number in international format without the plus sign
+     * (e.g. 9876543210 -> 919876543210)
+     */
+    function toInternational(mobile) {
+        const digits = String(mobile || '').replace(/\D/g, '');
+        const local = digits.slice(-10);
+        return local.length === 10 ? `${CONFIG.PHONE_COUNTRY_CODE}${local}` : '';
+    }
+    
+    /**
+     * Build a WhatsApp click-to-chat link
+     */
+    function getWhatsAppLink(mobile, message) {
+        const number = toInternational(mobile);
+        return number ? `https://wa.me/${number}?text=${encodeURIComponent(message)}` : '';
+    }
+    
+    /**
+     * Build an SMS link
+     */
+    function getSmsLink(mobile, message) {
+        const number = toInternational(mobile);
+        return number ? `sms:+${number}?body=${encodeURIComponent(message)}` : '';
+    }
+    
+    /**
+     * Open WhatsApp or the SMS app with the message and log it.
+     * Must be called from a click handler so the browser allows the new window.
+     */
+    function send(candidate, message, channel, messageType) {
+        const link = channel === 'sms'
+            ? getSmsLink(candidate.mobile, message)
+            : getWhatsAppLink(candidate.mobile, message);
+        
+        if (!link) {
+            Utils.showToast(`${candidate.name} has no valid mobile number`, 'error');
+            return false;
+        }
+        
+        if (channel === 'sms') {
+            window.location.href = link;
+        } else {
+            window.open(link, '_blank', 'noopener');
+        }
+        
+        logOpened(candidate, message, channel, messageType);
+        return true;
+    }
+    
+    /**
+     * Record an opened message on the candidate timeline. The app is open
+     * by now either way, so a failed log only warns.
+     */
+    async function logOpened(candidate, message, channel, messageType) {
+        try {
+            await API.candidates.addTimelineEvent(candidate.id, {
+                event: 'message_opened',
+                channel,
+                message_type: messageType || null,
+                message
+            });
+        } catch (error) {
+            Utils.showToast(`Message to ${candidate.name} was not logged to the timeline`, 'warning');
+        }
+    }
+    
+    // =========================================
+    // Bulk Queue
+    // =========================================
+    
+    /**
+     * Walk through messages one by one.
+     * items: [{ candidate, message, messageType }]
+     */
+    function startQueue(items) {
+        if (!items.length) return;
+        
+        queue = items.map(item => ({ ...item, openedVia: null }));
+        queueIndex = 0;
+        
+        const existing = Utils.$('#message-queue-modal');
+        if (existing) existing.remove();
+        
+        const modal = document.createElement('div');
+        modal.id = 'message-queue-modal';
+        modal.className = 'modal modal-lg active';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">Send Messages</h3>
+                    <button type="button" class="modal-close" data-queue-action="close"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body">
+                    <div class="message-queue-progress"></div>
+                    <div class="message-queue-item"></div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-queue-action="prev">
+                        <i class="fas fa-arrow-left"></i> Previous
+                    </button>
+                    <button type="button" class="btn btn-secondary" data-queue-action="next">
+                        Skip <i class="fas fa-arrow-right"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-primary" data-queue-action="sms">
+                        <i class="fas fa-sms"></i> SMS
+                    </button>
+                    <button type="button" class="btn btn-success" data-queue-action="whatsapp">
+                        <i class="fab fa-whatsapp"></i> WhatsApp
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        document.body.classList.add('modal-open');
+        
+        Utils.delegate(modal, '[data-queue-action]', 'click', handleQueueAction);
+        Utils.delegate(modal, '.message-queue-text', 'input', function() {
+            queue[queueIndex].message = this.value;
+        });
+        
+        renderQueueItem();
+    }
+    
+    /**
+     * Show the current queue entry
+     */
+    function renderQueueItem() {
+        const modal = Utils.$('#message-queue-modal');
+        if (!modal) return;
+        
+        const item = queue[queueIndex];
+        const opened = queue.filter(i => i.openedVia).length;
+        
+        Utils.$('.message-queue-progress', modal).innerHTML = `
+            <strong>${queueIndex + 1} of ${queue.length}</strong>
+            <span class="text-muted">&middot; ${opened} opened</span>
+        `;
+        
+        Utils.$('.message-queue-item', modal).innerHTML = `
+            <p class="message-queue-candidate">
+                <strong>${Utils.escapeHtml(item.candidate.name)}</strong>
+                <span class="text-muted">${Utils.escapeHtml(item.candidate.mobile || 'No mobile')}</span>
+                ${item.openedVia ? `<span class="badge badge-success">Opened in ${CHANNEL_LABELS[item.openedVia]}</span>` : ''}
+            </p>
+            <textarea class="form-control message-queue-text" rows="8">${Utils.escapeHtml(item.message)}</textarea>
+        `;
+        
+        Utils.$('[data-queue-action="prev"]', modal).disabled = queueIndex === 0;
+        Utils.$('[data-queue-action="next"]', modal).innerHTML = queueIndex === queue.length - 1
+            ? 'Finish'
+            : 'Skip <i class="fas fa-arrow-right"></i>';
+    }
+    
+    /**
+     * Handle queue buttons
+     */
+    function handleQueueAction() {
+        const action = this.dataset.queueAction;
+        const item = queue[queueIndex];
+        
+        if (action === 'whatsapp' || action === 'sms') {
+            if (!send(item.candidate, item.message, action, item.messageType)) return;
+            item.openedVia = action;
+            moveQueue(1);
+        } else if (action === 'next') {
+            moveQueue(1);
+        } else if (action === 'prev') {
+            moveQueue(-1);
+        } else {
+            closeQueue();
+        }
+    }
+    
+    /**
+     * Go to the previous or next entry, closing after the last one
+     */
+    function moveQueue(step) {
+        const next = queueIndex + step;
+        
+        if (next >= queue.length) {
+            closeQueue();
+            return;
+        }
+        
+        queueIndex = Math.max(0, next);
+        renderQueueItem();
+    }
+    
+    /**
+     * Close the queue and report how many messages were opened
+     */
+    function closeQueue() {
+        const modal = Utils.$('#message-queue-modal');
+        if (modal) modal.remove();
+        document.body.classList.remove('modal-open');
+        
+        const opened = queue.filter(i => i.openedVia).length;
+        if (queue.length) {
+            Utils.showToast(`${opened} of ${queue.length} messages opened in WhatsApp or SMS`, opened === queue.length ? 'success' : 'info');
+        }
+        queue = [];
+    }
+    
+    // Public API
+    return {
+        getWhatsAppLink,
+        getSmsLink,
+        send,
+        startQueue
+    };
+})();
+
+// Make Messaging globally available
+window.Messaging = Messaging;
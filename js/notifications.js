@@ -0,0 +1,196 @@
+/**
+ * HRMS Notifications Module
+ * Bell menu in the page header that keeps notifications (unlike toasts),
+ * with unread state, mark-all-read and links to the page to act on
+ */
+
+const Notifications = (function() {
+    'use strict';
+    
+    // Notification types: icon and the page that deals with them. The page
+    // highlights the record given as ?id= (Utils.focusLinkedRecord).
+    // Notifications are { id, type, title, message, entity_id, read, created_at }.
+    const TYPES = {
+        requirement_pending: { icon: 'fa-file-signature', route: CONFIG.ROUTES.HR_REVIEW },
+        requirement_returned: { icon: 'fa-undo', route: CONFIG.ROUTES.EA_INCOMPLETE },
+        interview_soon: { icon: 'fa-calendar-check', route: CONFIG.ROUTES.HR_SCHEDULE },
+        candidate_stuck: { icon: 'fa-hourglass-half', route: CONFIG.ROUTES.HR_PIPELINE }
+    };
+    
+    // Notifications kept in the menu
+    const LIMIT = 30;
+    
+    let notifications = [];
+    let menu = null;
+    
+    /**
+     * Add the menu to the header bell and load notifications
+     */
+    async function init() {
+        const container = Utils.$('.header-notifications');
+        if (!container) return;
+        
+        menu = document.createElement('div');
+        menu.className = 'notification-menu hidden';
+        menu.innerHTML = `
+            <div class="notification-menu-header">
+                <strong>Notifications</strong>
+                <button type="button" class="btn btn-sm btn-secondary notification-read-all">Mark all as read</button>
+            </div>
+            <div class="notification-list"></div>
+        `;
+        container.appendChild(menu);
+        
+        Utils.$('.notification-btn', container).addEventListener('click', toggleMenu);
+        Utils.$('.notification-read-all', menu).addEventListener('click', markAllRead);
+        Utils.delegate(menu, '.notification-item', 'click', handleNotificationClick);
+        
+        // Close when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!container.contains(e.target)) {
+                menu.classList.add('hidden');
+            }
+        });
+        
+        // New notifications arrive over the realtime channel
+        API.realtime.on('notification', (notification) => {
+            if (notifications.some(n => n.id === notification.id)) return;
+            notifications = [notification, ...notifications].slice(0, LIMIT);
+            render();
+        });
+        
+        await load();
+    }
+    
+    /**
+     * Load the latest notifications
+     */
+    async function load() {
+        try {
+            const response = await API.notifications.getAll({ limit: LIMIT });
+            notifications = response.data || [];
+            render();
+        } catch (error) {
+            // The bell stays empty; the rest of the page works without it
+            console.error('Failed to load notifications:', error);
+        }
+    }
+    
+    /**
+     * Render the list and the unread badge
+     */
+    function render() {
+        const unread = notifications.filter(n => !n.read).length;
+        
+        const badge = Utils.$('#notificationCount');
+        if (badge) {
+            badge.textContent = unread > 99 ? '99+' : unread;
+            badge.classList.toggle('hidden', unread === 0);
+        }
+        
+        if (!menu) return;
+        
+        Utils.$('.notification-read-all', menu).disabled = unread === 0;
+        
+        const list = Utils.$('.notification-list', menu);
+        if (notifications.length === 0) {
+            list.innerHTML = '<p class="no-data">No notifications</p>';
+            return;
+        }
+        
+        let html = '';
+        notifications.forEach(notification => {
+            const type = TYPES[notification.type] || { icon: 'fa-bell' };
+            html += `
+                <div class="notification-item ${notification.read ? '' : 'unread'}" data-notification-id="${notification.id}">
+                    <div class="notification-icon"><i class="fas ${type.icon}"></i></div>
+                    <div class="notification-content">
+                        <p class="notification-title">${Utils.escapeHtml(notification.title)}</p>
+                        <p class="notification-text">${Utils.escapeHtml(notification.message || '')}</p>
+                        <span class="notification-time">${Utils.relativeTime(notification.created_at)}</span>
+                    </div>
+                </div>
+            `;
+        });
+        
+        list.innerHTML = html;
+    }
+    
+    /**
+     * Show or hide the menu, refreshing it when opened
+     */
+    function toggleMenu(e) {
+        e.stopPropagation();
+        menu.classList.toggle('hidden');
+        
+        if (!menu.classList.contains('hidden')) {
+            load();
+        }
+    }
+    
+    /**
+     * Link to the page for a notification, pointing at its record
+     */
+    function getLink(notification) {
+        const type = TYPES[notification.type];
+        if (!type) return null;
+        
+        return notification.entity_id
+            ? `${type.route}?id=${encodeURIComponent(notification.entity_id)}`
+            : type.route;
+    }
+    
+    /**
+     * Mark a notification read and open its page
+     */
+    async function handleNotificationClick() {
+        const notification = notifications.find(n => String(n.id) === this.dataset.notificationId);
+        if (!notification) return;
+        
+        if (!notification.read) {
+            notification.read = true;
+            render();
+            
+            try {
+                await API.notifications.markRead(notification.id);
+            } catch (error) {
+                // Still unread on the server; show it that way and stay here
+                notification.read = false;
+                render();
+                Utils.showToast('Failed to mark the notification as read', 'error');
+                return;
+            }
+        }
+        
+        const link = getLink(notification);
+        if (link) {
+            window.location.href = link;
+        }
+    }
+    
+    /**
+     * Mark every notification read
+     */
+    async function markAllRead(e) {
+        e.stopPropagation();
+        
+        try {
+            await API.notifications.markAllRead();
+            notifications.forEach(n => {
+                n.read = true;
+            });
+            render();
+        } catch (error) {
+            Utils.showToast('Failed to mark notifications as read', 'error');
+        }
+    }
+    
+    // Public API
+    return {
+        init,
+        load
+    };
+})();
+
+// Make Notifications globally available
+window.Notifications = Notifications;
@@ -0,0 +1,139 @@
+/**
+ * HRMS Permissions Module
+ * Declarative permission gating for page elements:
+ *
+ *   <button data-permission="candidates:edit">Shortlist</button>
+ *   <button data-permission="requirements:edit,requirements:delete" data-permission-mode="disable">...</button>
+ *
+ * Elements need any one of the listed permissions (module:action, checked
+ * with Auth.hasPermission). Without it they are hidden, or disabled with
+ * data-permission-mode="disable". Elements added later (e.g. table rows)
+ * are gated as they appear, and everything is re-checked when the user's
+ * permissions change: at once where realtime is connected (the dashboard),
+ * otherwise every CONFIG.PERMISSIONS_REFRESH_INTERVAL and when the tab is
+ * shown again. Module keys are listed in CONFIG.PERMISSION_MODULES.
+ */
+
+const Permissions = (function() {
+    'use strict';
+    
+    const SELECTOR = '[data-permission]';
+    const DENIED_TITLE = 'You do not have permission to do this';
+    
+    /**
+     * Check a "module:action" permission (action defaults to view)
+     */
+    function can(permission) {
+        const [module, action = 'view'] = permission.trim().split(':');
+        return Auth.hasPermission(module, action);
+    }
+    
+    /**
+     * Hide or disable one element according to its data-permission
+     */
+    function applyToElement(element) {
+        const allowed = element.dataset.permission.split(',').some(can);
+        
+        if (element.dataset.permissionMode === 'disable') {
+            if (!allowed && element.dataset.permissionDenied !== 'true') {
+                element.dataset.permissionDenied = 'true';
+                element.dataset.permissionTitle = element.getAttribute('title') || '';
+                element.setAttribute('title', DENIED_TITLE);
+                element.setAttribute('aria-disabled', 'true');
+                element.classList.add('permission-disabled');
+                if ('disabled' in element) element.disabled = true;
+            } else if (allowed && element.dataset.permissionDenied === 'true') {
+                // Only undo what was done here, not disabling from other code
+                delete element.dataset.permissionDenied;
+                element.setAttribute('title', element.dataset.permissionTitle);
+                delete element.dataset.permissionTitle;
+                element.removeAttribute('aria-disabled');
+                element.classList.remove('permission-disabled');
+                if ('disabled' in element) element.disabled = false;
+            }
+        } else {
+            element.classList.toggle('permission-hidden', !allowed);
+        }
+    }
+    
+    /**
+     * Gate every data-permission element in root (including root itself)
+     */
+    function apply(root = document) {
+        if (root.matches && root.matches(SELECTOR)) {
+            applyToElement(root);
+        }
+        root.querySelectorAll(SELECTOR).forEach(applyToElement);
+    }
+    
+    /**
+     * Re-check the whole page, e.g. after the user's permissions changed
+     */
+    function refresh() {
+        apply(document);
+    }
+    
+    /**
+     * Reload the signed-in user after an admin changed their permissions
+     */
+    async function reloadUser() {
+        // A "view as user" session uses the permissions it started with
+        if (!Auth.isAuthenticated() || Auth.isImpersonating()) return;
+        
+        try {
+            const response = await API.auth.getProfile();
+            Auth.setUser(response.data);
+            refresh();
+        } catch (error) {
+            console.error('Failed to reload permissions:', error);
+        }
+    }
+    
+    /**
+     * Gate the page now, new elements as they are added, and again whenever
+     * permissions change here or in another tab
+     */
+    function init() {
+        refresh();
+        
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) apply(node);
+                });
+            });
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+        
+        // Another tab stored a new user object
+        window.addEventListener('storage', (e) => {
+            if (e.key === CONFIG.USER_KEY) refresh();
+        });
+        
+        API.realtime.on('permissions_changed', reloadUser);
+        
+        // Pages without realtime check the profile now and then instead
+        const realtimeConnected = () => ['live', 'polling'].includes(API.realtime.getStatus());
+        setInterval(() => {
+            if (!realtimeConnected()) reloadUser();
+        }, CONFIG.PERMISSIONS_REFRESH_INTERVAL);
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && !realtimeConnected()) reloadUser();
+        });
+    }
+    
+    // Public API
+    return {
+        init,
+        can,
+        apply,
+        refresh
+    };
+})();
+
+// Make Permissions globally available
+window.Permissions = Permissions;
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', Permissions.init);
@@ -0,0 +1,247 @@
+/**
+ * HRMS Reports Module
+ * Hiring funnel, hires per job portal and time-to-hire per role, filtered by
+ * date range, requirement, role and source, with Excel export for each report
+ */
+
+const Reports = (function() {
+    'use strict';
+    
+    // Reports on the page: API loader, container and export type
+    // (export type matches the report's endpoint, e.g. /reports/hiring/export)
+    const REPORTS = [
+        { type: 'hiring', container: '#report-funnel', load: (params) => API.reports.getHiringReport(params), render: renderFunnel },
+        { type: 'source-analysis', container: '#report-sources', load: (params) => API.reports.getSourceAnalysis(params), render: renderSources },
+        { type: 'time-to-hire', container: '#report-time-to-hire', load: (params) => API.reports.getTimeToHire(params), render: renderTimeToHire }
+    ];
+    
+    // Default date range in days, ending today
+    const DEFAULT_RANGE_DAYS = 30;
+    
+    /**
+     * Initialize reports page
+     */
+    async function init() {
+        if (!Auth.requireRole([CONFIG.ROLES.ADMIN, CONFIG.ROLES.HR])) return;
+        
+        const form = Utils.$('#reports-filter-form');
+        if (!form) return;
+        
+        setupFilters(form);
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadReports();
+        });
+        
+        Utils.delegate('#reports-content', '[data-export]', 'click', handleExport);
+        
+        await loadRequirementOptions(form);
+        await loadReports();
+    }
+    
+    /**
+     * Fill the filter dropdowns and default date range
+     */
+    function setupFilters(form) {
+        const from = new Date();
+        from.setDate(from.getDate() - DEFAULT_RANGE_DAYS);
+        
+        form.querySelector('[name="date_from"]').value = Utils.formatDate(from, 'YYYY-MM-DD');
+        form.querySelector('[name="date_to"]').value = Utils.getToday();
+        
+        fillSelect(form.querySelector('[name="role"]'), 'All roles', CONFIG.JOB_ROLES.map(role => ({ value: role, label: role })));
+        fillSelect(form.querySelector('[name="source"]'), 'All sources', CONFIG.JOB_PORTALS.map(portal => ({ value: portal, label: portal })));
+    }
+    
+    /**
+     * Load requirements for the requirement filter
+     */
+    async function loadRequirementOptions(form) {
+        try {
+            const response = await API.requirements.getAll();
+            const options = (response.data || []).map(req => ({ value: req.id, label: `${req.id} - ${req.role}` }));
+            fillSelect(form.querySelector('[name="requirement_id"]'), 'All requirements', options);
+        } catch (error) {
+            // Reports still load without the requirement filter options
+        }
+    }
+    
+    /**
+     * Replace a select's options, keeping a blank "all" option first
+     */
+    function fillSelect(select, placeholder, options) {
+        if (!select) return;
+        
+        select.innerHTML = `<option value="">${placeholder}</option>` + options
+            .map(option => `<option value="${Utils.escapeHtml(String(option.value))}">${Utils.escapeHtml(option.label)}</option>`)
+            .join('');
+    }
+    
+    /**
+     * Get the filter values that are set
+     */
+    function getFilters() {
+        const filters = Utils.getFormData('#reports-filter-form');
+        return Object.fromEntries(Object.entries(filters).filter(([_, value]) => value !== '' && value !== null));
+    }
+    
+    /**
+     * Load all reports with the current filters. Each report renders on its
+     * own, so one failing endpoint does not blank the others.
+     */
+    async function loadReports() {
+        const filters = getFilters();
+        
+        if (filters.date_from && filters.date_to && filters.date_from > filters.date_to) {
+            Utils.showToast('The start date must be before the end date', 'error');
+            return;
+        }
+        
+        Auth.showLoadingOverlay('Loading reports...');
+        
+        const results = await Promise.allSettled(REPORTS.map(report => report.load(filters)));
+        
+        results.forEach((result, index) => {
+            const report = REPORTS[index];
+            const container = Utils.$(report.container);
+            if (!container) return;
+            
+            if (result.status === 'fulfilled') {
+                report.render(container, result.value.data);
+            } else {
+                container.innerHTML = '<p class="no-data text-danger">Failed to load this report</p>';
+            }
+        });
+        
+        Auth.hideLoadingOverlay();
+        
+        if (results.some(result => result.status === 'rejected')) {
+            Utils.showToast('Some reports failed to load', 'error');
+        }
+    }
+    
+    /**
+     * Render horizontal bars. rows: [{ label, value, display, note }]
+     */
+    function renderBarChart(container, rows, emptyText) {
+        if (!rows.length) {
+            container.innerHTML = `<p class="no-data">${emptyText}</p>`;
+            return;
+        }
+        
+        const max = Math.max(...rows.map(row => row.value), 1);
+        
+        let html = '<div class="report-chart">';
+        rows.forEach(row => {
+            html += `
+                <div class="report-bar-row">
+                    <span class="report-bar-label" title="${Utils.escapeHtml(row.label)}">${Utils.escapeHtml(row.label)}</span>
+                    <div class="report-bar-track">
+                        <div class="report-bar" style="width: ${(row.value / max) * 100}%"></div>
+                    </div>
+                    <span class="report-bar-value">${row.display}</span>
+                    <span class="report-bar-note">${row.note || ''}</span>
+                </div>
+            `;
+        });
+        html += '</div>';
+        
+        container.innerHTML = html;
+    }
+    
+    /**
+     * Candidates reaching each stage, as { funnel: [{ stage, count }] }.
+     * Rejections are shown below the funnel rather than as a stage.
+     */
+    function renderFunnel(container, data) {
+        const counts = {};
+        ((data && data.funnel) || []).forEach(item => {
+            counts[item.stage] = item.count;
+        });
+        
+        // Rejected is where candidates end up, not a step of the funnel
+        const stages = CONFIG.CANDIDATE_STAGES.filter(stage => stage !== 'Rejected');
+        const first = counts[stages[0]] || 0;
+        const rows = stages.map(stage => {
+            const count = counts[stage] || 0;
+            return {
+                label: stage,
+                value: count,
+                display: count,
+                note: first > 0 ? `${Math.round((count / first) * 100)}%` : ''
+            };
+        });
+        
+        renderBarChart(container, rows.some(row => row.value > 0) ? rows : [], 'No candidates in this period');
+        
+        const rejected = counts['Rejected'] || 0;
+        if (first > 0 && rejected > 0) {
+            container.insertAdjacentHTML('beforeend', `
+                <p class="report-footnote">${rejected} rejected (${Math.round((rejected / first) * 100)}% of ${stages[0]})</p>
+            `);
+        }
+    }
+    
+    /**
+     * Hires per job portal, as [{ source, candidates, hires }]
+     */
+    function renderSources(container, data) {
+        const rows = (data || [])
+            .slice()
+            .sort((a, b) => b.hires - a.hires)
+            .map(item => ({
+                label: item.source || 'Unknown',
+                value: item.hires,
+                display: `${item.hires} hired`,
+                note: item.candidates > 0 ? `of ${item.candidates} (${Math.round((item.hires / item.candidates) * 100)}%)` : ''
+            }));
+        
+        renderBarChart(container, rows, 'No hires in this period');
+    }
+    
+    /**
+     * Median days from CV to joining per role, as [{ role, median_days, hires }]
+     */
+    function renderTimeToHire(container, data) {
+        const rows = (data || [])
+            .filter(item => item.median_days !== null && item.median_days !== undefined)
+            .sort((a, b) => b.median_days - a.median_days)
+            .map(item => ({
+                label: item.role,
+                value: item.median_days,
+                display: `${Math.round(item.median_days * 10) / 10} days`,
+                note: `${item.hires} ${item.hires === 1 ? 'hire' : 'hires'}`
+            }));
+        
+        renderBarChart(container, rows, 'No hires in this period');
+    }
+    
+    /**
+     * Download a report as Excel with the current filters
+     */
+    async function handleExport() {
+        const type = this.dataset.export;
+        
+        try {
+            Auth.showLoadingOverlay('Preparing export...');
+            await API.reports.exportReport(type, getFilters());
+            Auth.hideLoadingOverlay();
+        } catch (error) {
+            Auth.hideLoadingOverlay();
+            Utils.showToast('Failed to export report', 'error');
+        }
+    }
+    
+    // Public API
+    return {
+        init,
+        loadReports
+    };
+})();
+
+// Make Reports globally available
+window.Reports = Reports;
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', Reports.init);
@@ -0,0 +1,205 @@
+/**
+ * HRMS Resume Parser Module
+ * Extracts text from PDF/DOCX CVs in the browser and picks out candidate details
+ */
+
+const ResumeParser = (function() {
+    'use strict';
+    
+    // Max PDF pages to read - contact details are almost always on page one
+    const MAX_PDF_PAGES = 3;
+    
+    // Qualifications from highest to lowest; the first match wins
+    const QUALIFICATIONS = [
+        { label: 'Ph.D', pattern: /\bph\.?\s?d\b/i },
+        { label: 'CA', pattern: /\bchartered accountant\b|\bC\.?A\.?\s+(?:final|inter)\b/i },
+        { label: 'MBA', pattern: /\bm\.?\s?b\.?\s?a\b/i },
+        { label: 'MCA', pattern: /\bm\.?\s?c\.?\s?a\b/i },
+        { label: 'M.Com', pattern: /\bm\.?\s?com\b/i },
+        { label: 'M.Sc', pattern: /\bm\.?\s?sc\b/i },
+        { label: 'M.Tech', pattern: /\bm\.?\s?tech\b/i },
+        { label: 'M.A', pattern: /\bm\.\s?a\.?\b|\bmaster of arts\b/i },
+        { label: 'B.Tech', pattern: /\bb\.?\s?tech\b|\bb\.\s?e\.?\b/i },
+        { label: 'BCA', pattern: /\bb\.?\s?c\.?\s?a\b/i },
+        { label: 'BBA', pattern: /\bb\.?\s?b\.?\s?a\b/i },
+        { label: 'B.Com', pattern: /\bb\.?\s?com\b/i },
+        { label: 'B.Sc', pattern: /\bb\.?\s?sc\b/i },
+        { label: 'B.A', pattern: /\bb\.\s?a\.?\b|\bbachelor of arts\b/i },
+        { label: 'Diploma', pattern: /\bdiploma\b/i },
+        { label: '12th', pattern: /\b(?:12th|xii|intermediate|higher secondary)\b/i },
+        { label: '10th', pattern: /\b(?:10th|high school|matriculation)\b/i }
+    ];
+    
+    // Lines containing these words are never a candidate name
+    const NON_NAME_WORDS = /resume|curriculum|vitae|\bcv\b|profile|objective|email|e-mail|phone|mobile|contact|address|@|\d/i;
+    
+    /**
+     * Load PDF.js on first use
+     */
+    async function loadPdfJs() {
+        if (!window.pdfjsLib) {
+            await Utils.loadScript(CONFIG.RESUME_PARSER_LIBS.PDFJS);
+            window.pdfjsLib.GlobalWorkerOptions.workerSrc = CONFIG.RESUME_PARSER_LIBS.PDFJS_WORKER;
+        }
+        return window.pdfjsLib;
+    }
+    
+    /**
+     * Load mammoth (DOCX reader) on first use
+     */
+    async function loadMammoth() {
+        if (!window.mammoth) {
+            await Utils.loadScript(CONFIG.RESUME_PARSER_LIBS.MAMMOTH);
+        }
+        return window.mammoth;
+    }
+    
+    /**
+     * Extract plain text from a PDF file
+     */
+    async function extractPdfText(file) {
+        const pdfjsLib = await loadPdfJs();
+        const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+        
+        const pageCount = Math.min(pdf.numPages, MAX_PDF_PAGES);
+        const lines = [];
+        
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            
+            // Group text items into lines using the end-of-line marker
+            let line = '';
+            content.items.forEach(item => {
+                line += item.str;
+                if (item.hasEOL) {
+                    lines.push(line);
+                    line = '';
+                } else {
+                    line += ' ';
+                }
+            });
+            if (line.trim()) lines.push(line);
+        }
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Extract plain text from a DOCX file
+     */
+    async function extractDocxText(file) {
+        const mammoth = await loadMammoth();
+        const result = await mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() });
+        return result.value;
+    }
+    
+    /**
+     * Extract plain text from a CV. Legacy .doc files are not supported
+     * and return an empty string.
+     */
+    async function extractText(file) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        
+        if (ext === 'pdf') return extractPdfText(file);
+        if (ext === 'docx') return extractDocxText(file);
+        return '';
+    }
+    
+    /**
+     * Find a 10-digit Indian mobile number
+     */
+    function findMobile(text) {
+        const matches = text.match(/(?:\+?91[\s-]*|0)?[6-9](?:[\s-]?\d){9}\b/g) || [];
+        
+        for (const match of matches) {
+            const digits = match.replace(/\D/g, '').slice(-10);
+            if (Utils.isValidPhone(digits)) return digits;
+        }
+        return '';
+    }
+    
+    /**
+     * Find the first email address
+     */
+    function findEmail(text) {
+        const match = text.match(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/);
+        return match ? match[0].toLowerCase() : '';
+    }
+    
+    /**
+     * Find total experience, e.g. "3 years", "2.5 yrs", or "Fresher"
+     */
+    function findExperience(text) {
+        const match = text.match(/(\d{1,2}(?:\.\d)?)\s*\+?\s*(?:years?|yrs?)\b/i);
+        if (match) {
+            const years = parseFloat(match[1]);
+            return `${years} year${years === 1 ? '' : 's'}`;
+        }
+        return /\bfresher\b/i.test(text) ? 'Fresher' : '';
+    }
+    
+    /**
+     * Find the highest qualification mentioned
+     */
+    function findQualification(text) {
+        const found = QUALIFICATIONS.find(q => q.pattern.test(text));
+        return found ? found.label : '';
+    }
+    
+    /**
+     * Find the candidate name - a "Name:" label, else the first line that looks like a name
+     */
+    function findName(text) {
+        const labelled = text.match(/^\s*name\s*[:\-]\s*([A-Za-z][A-Za-z .]{2,40})$/im);
+        if (labelled) return Utils.titleCase(labelled[1].trim());
+        
+        const lines = text.split('\n').map(l => l.trim()).filter(Boolean).slice(0, 10);
+        const line = lines.find(l => {
+            const words = l.split(/\s+/);
+            return words.length >= 2 && words.length <= 4 &&
+                /^[A-Za-z .]+$/.test(l) && !NON_NAME_WORDS.test(l);
+        });
+        
+        return line ? Utils.titleCase(line.replace(/\s+/g, ' ')) : '';
+    }
+    
+    /**
+     * Pick candidate details out of CV text
+     */
+    function parseText(text) {
+        if (!text) return {};
+        
+        return {
+            name: findName(text),
+            mobile: findMobile(text),
+            email: findEmail(text),
+            experience: findExperience(text),
+            qualification: findQualification(text)
+        };
+    }
+    
+    /**
+     * Read a CV file and return the details found in it.
+     * Never throws - unreadable files return an empty result.
+     */
+    async function parse(file) {
+        try {
+            const text = await extractText(file);
+            return parseText(text);
+        } catch (error) {
+            console.error(`Failed to read ${file.name}:`, error);
+            return {};
+        }
+    }
+    
+    // Public API
+    return {
+        parse,
+        parseText,
+        extractText
+    };
+})();
+
+// Make ResumeParser globally available
+window.ResumeParser = ResumeParser;
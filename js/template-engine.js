@@ -0,0 +1,305 @@
+/**
+ * HRMS Template Engine Module
+ * Renders message templates with placeholders, filters and conditionals:
+ *
+ *   Dear {{candidate.name}},
+ *   Your interview is on {{interview.date | date}} at {{interview.time | time}}.
+ *   {{#if candidate.token}}Your token is {{candidate.token}}.{{else}}Please bring a photo ID.{{/if}}
+ *   Venue: {{company.address}}
+ *
+ * Write \{{ for a literal "{{".
+ */
+
+const TemplateEngine = (function() {
+    'use strict';
+    
+    // Variables templates may use, with sample values for previews
+    const VARIABLES = [
+        { name: 'candidate.name', description: 'Candidate full name', sample: 'Rahul Sharma' },
+        { name: 'candidate.mobile', description: 'Candidate mobile number', sample: '9876543210' },
+        { name: 'candidate.email', description: 'Candidate email', sample: 'rahul.sharma@example.com' },
+        { name: 'candidate.role', description: 'Role applied for', sample: 'CRM Executive' },
+        { name: 'candidate.stage', description: 'Current pipeline stage', sample: 'Schedule Interview' },
+        { name: 'candidate.source', description: 'Job portal the CV came from', sample: 'Naukri.com' },
+        { name: 'candidate.token', description: 'Walk-in token number', sample: 'A-17' },
+        { name: 'interview.date', description: 'Interview date (use | date)', sample: '2026-10-21' },
+        { name: 'interview.time', description: 'Interview time (use | time)', sample: '11:30' },
+        { name: 'company.name', description: 'Company name', sample: null },
+        { name: 'company.address', description: 'Company address', sample: null },
+        { name: 'company.phone', description: 'HR phone number', sample: null },
+        { name: 'company.email', description: 'HR email', sample: null },
+        { name: 'recruiter.name', description: 'Name of the logged-in recruiter', sample: 'HR Team' }
+    ];
+    
+    // Filters: value | name or value | name:"argument"
+    const FILTERS = {
+        date: (value, format = 'DD MMM YYYY') => Utils.formatDate(value, format),
+        time: (value) => {
+            const match = String(value).match(/^(\d{1,2}):(\d{2})/);
+            if (!match) return value;
+            const hours = parseInt(match[1], 10);
+            return `${hours % 12 || 12}:${match[2]} ${hours < 12 ? 'AM' : 'PM'}`;
+        },
+        upper: (value) => String(value).toUpperCase(),
+        lower: (value) => String(value).toLowerCase(),
+        title: (value) => Utils.titleCase(String(value)),
+        default: (value, fallback = '') => (value === '' || value === null || value === undefined ? fallback : value)
+    };
+    
+    const PATH_PATTERN = /^[a-z_]\w*(\.[a-z_]\w*)*$/i;
+    const TAG_PATTERN = /\\?\{\{([\s\S]*?)\}\}/g;
+    
+    /**
+     * Create a template syntax error pointing at a line
+     */
+    function syntaxError(message, template, index) {
+        const line = template.slice(0, index).split('\n').length;
+        const error = new Error(`Line ${line}: ${message}`);
+        error.line = line;
+        return error;
+    }
+    
+    /**
+     * Parse "path | filter:arg | filter" into an output node
+     */
+    function parseExpression(expression, template, index) {
+        const parts = expression.split('|').map(p => p.trim());
+        const path = parts.shift();
+        
+        if (!PATH_PATTERN.test(path)) {
+            throw syntaxError(`"${path}" is not a valid variable name`, template, index);
+        }
+        
+        const filters = parts.map(part => {
+            const match = part.match(/^(\w+)(?:\s*:\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?$/);
+            if (!match || !FILTERS[match[1]]) {
+                throw syntaxError(`Unknown filter "${part}". Available: ${Object.keys(FILTERS).join(', ')}`, template, index);
+            }
+            
+            const arg = [match[2], match[3], match[4]].find(a => a !== undefined);
+            return { name: match[1], args: arg !== undefined ? [arg] : [] };
+        });
+        
+        return { type: 'var', path, filters };
+    }
+    
+    /**
+     * Parse a template into a tree of text, variable and conditional nodes
+     */
+    function parse(template) {
+        const root = { children: [] };
+        const stack = [root];
+        let lastIndex = 0;
+        let match;
+        
+        const current = () => stack[stack.length - 1];
+        const push = (node) => {
+            const parent = current();
+            (parent.inElse ? parent.elseChildren : parent.children).push(node);
+        };
+        const pushText = (text) => {
+            if (text) push({ type: 'text', value: text });
+        };
+        
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(template)) !== null) {
+            pushText(template.slice(lastIndex, match.index));
+            lastIndex = TAG_PATTERN.lastIndex;
+            
+            // Escaped tag - output it literally without the backslash
+            if (match[0].startsWith('\\')) {
+                pushText(match[0].slice(1));
+                continue;
+            }
+            
+            const tag = match[1].trim();
+            const block = tag.match(/^#(if|unless)\s+(.+)$/);
+            
+            if (block) {
+                const path = block[2].trim();
+                if (!PATH_PATTERN.test(path)) {
+                    throw syntaxError(`"${path}" is not a valid variable name`, template, match.index);
+                }
+                
+                const node = { type: 'if', path, negate: block[1] === 'unless', tag: block[1], children: [], elseChildren: null, index: match.index };
+                push(node);
+                stack.push(node);
+            } else if (tag === 'else') {
+                const node = current();
+                if (node === root || node.elseChildren) {
+                    throw syntaxError('{{else}} without a matching {{#if}}', template, match.index);
+                }
+                node.elseChildren = [];
+                node.inElse = true;
+            } else if (/^\/(if|unless)$/.test(tag)) {
+                const node = current();
+                if (node === root || `/${node.tag}` !== tag) {
+                    throw syntaxError(`{{${tag}}} without a matching {{#${tag.slice(1)}}}`, template, match.index);
+                }
+                stack.pop();
+            } else if (tag) {
+                push(parseExpression(tag, template, match.index));
+            } else {
+                throw syntaxError('Empty {{ }} placeholder', template, match.index);
+            }
+        }
+        
+        const rest = template.slice(lastIndex);
+        const unclosed = rest.search(/(^|[^\\])\{\{/);
+        if (unclosed !== -1) {
+            throw syntaxError('"{{" is never closed with "}}"', template, lastIndex + unclosed);
+        }
+        pushText(rest);
+        
+        if (stack.length > 1) {
+            const node = current();
+            throw syntaxError(`{{#${node.tag} ${node.path}}} is never closed with {{/${node.tag}}}`, template, node.index);
+        }
+        
+        return root.children;
+    }
+    
+    /**
+     * Look up a dotted path in the data. Only the data's own properties count,
+     * so {{candidate.constructor}} or {{x.__proto__}} resolve to nothing.
+     */
+    function resolve(data, path) {
+        return path.split('.').reduce((value, key) => (
+            value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(value, key)
+                ? value[key]
+                : undefined
+        ), data);
+    }
+    
+    /**
+     * Check whether a value counts as true in {{#if}}
+     */
+    function isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+    }
+    
+    /**
+     * Render parsed nodes
+     */
+    function renderNodes(nodes, data, escape) {
+        return nodes.map(node => {
+            if (node.type === 'text') {
+                return escape(node.value);
+            }
+            
+            if (node.type === 'if') {
+                const condition = isTruthy(resolve(data, node.path)) !== node.negate;
+                return renderNodes(condition ? node.children : (node.elseChildren || []), data, escape);
+            }
+            
+            let value = resolve(data, node.path);
+            node.filters.forEach(filter => {
+                if (filter.name === 'default' || (value !== undefined && value !== null && value !== '')) {
+                    value = FILTERS[filter.name](value, ...filter.args);
+                }
+            });
+            
+            return escape(value === undefined || value === null ? '' : String(value));
+        }).join('');
+    }
+    
+    /**
+     * Render a template with data. Throws on syntax errors.
+     *
+     * Options:
+     *   escape(text) - applied to literal text and values, e.g. Utils.escapeHtml
+     *                  when the result is shown as HTML (default: none)
+     */
+    function render(template, data, options = {}) {
+        const escape = options.escape || (text => text);
+        return renderNodes(parse(template || ''), data, escape);
+    }
+    
+    /**
+     * Collect every variable path used in parsed nodes
+     */
+    function collectPaths(nodes, paths = new Set()) {
+        nodes.forEach(node => {
+            if (node.type === 'var' || node.type === 'if') paths.add(node.path);
+            if (node.type === 'if') {
+                collectPaths(node.children, paths);
+                collectPaths(node.elseChildren || [], paths);
+            }
+        });
+        return paths;
+    }
+    
+    /**
+     * Check a template for syntax errors and unknown variables
+     */
+    function validate(template) {
+        try {
+            const known = VARIABLES.map(v => v.name);
+            const unknown = [...collectPaths(parse(template || ''))].filter(path => !known.includes(path));
+            return { valid: true, errors: [], unknown };
+        } catch (error) {
+            return { valid: false, errors: [error.message], unknown: [] };
+        }
+    }
+    
+    /**
+     * Build template data for a candidate (any field may be missing)
+     */
+    function buildContext(candidate = {}) {
+        const user = Auth.getUser() || {};
+        
+        return {
+            candidate: {
+                name: candidate.name,
+                mobile: candidate.mobile,
+                email: candidate.email,
+                role: candidate.role,
+                stage: candidate.current_stage,
+                source: candidate.source,
+                token: candidate.walkin_token
+            },
+            interview: {
+                date: candidate.interview_date,
+                time: candidate.interview_time
+            },
+            company: {
+                name: CONFIG.COMPANY.NAME,
+                address: CONFIG.COMPANY.ADDRESS,
+                phone: CONFIG.COMPANY.PHONE,
+                email: CONFIG.COMPANY.EMAIL
+            },
+            recruiter: {
+                name: user.name
+            }
+        };
+    }
+    
+    /**
+     * Template data filled with the sample values of VARIABLES
+     */
+    function getSampleContext() {
+        const context = buildContext();
+        VARIABLES.forEach(variable => {
+            const [group, key] = variable.name.split('.');
+            if (variable.sample !== null && !context[group][key]) {
+                context[group][key] = variable.sample;
+            }
+        });
+        return context;
+    }
+    
+    // Public API
+    return {
+        VARIABLES,
+        FILTERS: Object.keys(FILTERS),
+        parse,
+        render,
+        validate,
+        buildContext,
+        getSampleContext
+    };
+})();
+
+// Make TemplateEngine globally available
+window.TemplateEngine = TemplateEngine;
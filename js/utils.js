@@ -367,6 +367,29 @@ const Utils = (function() {
         }
     }
     
+    const loadedScripts = {};
+    
+    /**
+     * Load an external script once, resolving when it is ready
+     */
+    function loadScript(src) {
+        if (!loadedScripts[src]) {
+            loadedScripts[src] = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.async = true;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    delete loadedScripts[src];
+                    script.remove();
+                    reject(new Error(`Failed to load ${src}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return loadedScripts[src];
+    }
+    
     // =========================================
     // Storage Utilities
     // =========================================
@@ -439,6 +462,43 @@ const Utils = (function() {
         window.history.pushState({}, '', url);
     }
     
+    /**
+     * Update several URL parameters as one history entry (null or '' removes
+     * a parameter). Nothing is pushed when the URL stays the same.
+     */
+    function updateUrlParams(params) {
+        const url = new URL(window.location);
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === '') {
+                url.searchParams.delete(key);
+            } else {
+                url.searchParams.set(key, value);
+            }
+        });
+        
+        if (url.href !== window.location.href) {
+            window.history.pushState({}, '', url);
+        }
+    }
+    
+    /**
+     * Scroll to and highlight the record named by ?id= (links from
+     * notifications), found by the given data attribute
+     */
+    function focusLinkedRecord(attribute) {
+        const id = getUrlParam('id');
+        if (!id) return;
+        
+        const element = $(`[${attribute}="${CSS.escape(id)}"]`);
+        if (!element) {
+            showToast('The linked record is not on this page any more', 'info');
+            return;
+        }
+        
+        element.classList.add('is-linked');
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    
     // =========================================
     // Form Utilities
     // =========================================
@@ -620,6 +680,27 @@ const Utils = (function() {
         }
     }
     
+    // =========================================
+    // File Download
+    // =========================================
+    
+    /**
+     * Download generated content as a file
+     */
+    function downloadBlob(content, filename, type = 'text/plain;charset=utf-8') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        URL.revokeObjectURL(url);
+    }
+    
     // =========================================
     // Modal Utilities
     // =========================================
@@ -791,6 +872,7 @@ const Utils = (function() {
         toggle,
         addEventListeners,
         delegate,
+        loadScript,
         
         // Storage
         getStorage,
@@ -801,6 +883,8 @@ const Utils = (function() {
         getUrlParams,
         getUrlParam,
         updateUrlParam,
+        updateUrlParams,
+        focusLinkedRecord,
         
         // Form
         getFormData,
@@ -816,6 +900,9 @@ const Utils = (function() {
         // Clipboard
         copyToClipboard,
         
+        // Download
+        downloadBlob,
+        
         // Modal
         openModal,
         closeModal,
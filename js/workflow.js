@@ -0,0 +1,259 @@
+/**
+ * HRMS Workflow Module
+ * Candidate stage state machine - legal transitions, available actions and
+ * validation of stage updates before they are sent to the API
+ */
+
+const Workflow = (function() {
+    'use strict';
+    
+    const STAGES = CONFIG.CANDIDATE_STAGES;
+    const REJECTED = 'Rejected';
+    const CLOSED_STAGES = ['Selected', REJECTED];
+    
+    // Action that records the outcome of each stage
+    const STAGE_ACTIONS = {
+        'Shortlisting': 'shortlist',
+        'Telephonic': 'telephonic',
+        'Owner Discussion': 'owner-discussion',
+        'Schedule Interview': 'schedule',
+        'Walk-in': 'walkin',
+        'HR Interview': 'hr-interview',
+        'Tests': 'test'
+    };
+    
+    // Status-driven actions: which submitted values advance the candidate,
+    // which reject them, and which keep them in the current stage
+    const ACTION_OUTCOMES = {
+        'shortlist': {
+            field: 'decision',
+            label: 'shortlisting decision',
+            values: CONFIG.SHORTLIST_DECISIONS,
+            advance: ['Shortlisted'],
+            reject: ['Rejected']
+        },
+        'telephonic': {
+            field: 'status',
+            label: 'call status',
+            values: CONFIG.TELEPHONIC_STATUSES,
+            advance: ['Recommended for Owners'],
+            reject: ['Reject']
+        },
+        'owner-discussion': {
+            field: 'decision',
+            label: 'owner decision',
+            values: CONFIG.OWNER_DECISIONS,
+            advance: ['Approved for Walk-in'],
+            reject: ['Rejected']
+        },
+        'schedule': {
+            field: 'status',
+            label: 'schedule status',
+            values: CONFIG.SCHEDULE_STATUSES,
+            advance: ['Confirmed'],
+            reject: ['Rejected']
+        },
+        'walkin': {
+            field: 'attendance',
+            label: 'walk-in attendance',
+            values: CONFIG.WALKIN_STATUSES,
+            advance: ['Arrived'],
+            reject: ['No Show']
+        }
+    };
+    
+    // Human readable names for actions, used in messages
+    const ACTION_LABELS = {
+        'shortlist': 'shortlisting decision',
+        'telephonic': 'telephonic status',
+        'owner-discussion': 'owner decision',
+        'schedule': 'interview schedule',
+        'walkin': 'walk-in arrival',
+        'hr-interview': 'HR interview result',
+        'test': 'test result',
+        'reject': 'rejection'
+    };
+    
+    /**
+     * Get the stage an action belongs to
+     */
+    function getActionStage(action) {
+        return Object.keys(STAGE_ACTIONS).find(stage => STAGE_ACTIONS[stage] === action) || null;
+    }
+    
+    /**
+     * Get the stage that follows a stage in the pipeline
+     */
+    function getNextStage(stage) {
+        const index = STAGES.indexOf(stage);
+        if (index === -1) return null;
+        
+        const next = STAGES[index + 1];
+        return next && !CLOSED_STAGES.includes(next) ? next : null;
+    }
+    
+    /**
+     * Check whether a candidate has left the pipeline
+     */
+    function isClosed(candidate) {
+        return CLOSED_STAGES.includes(candidate.current_stage);
+    }
+    
+    /**
+     * Get the stage a candidate ends up in after an action with the given data.
+     * Returns the current stage when the action keeps the candidate where they are.
+     */
+    function getTargetStage(action, candidate, data = {}) {
+        if (action === 'reject') return REJECTED;
+        
+        const stage = getActionStage(action);
+        const outcome = ACTION_OUTCOMES[action];
+        
+        if (outcome) {
+            const value = data[outcome.field];
+            if (outcome.reject.includes(value)) return REJECTED;
+            if (!outcome.advance.includes(value)) return candidate.current_stage;
+        }
+        
+        return getNextStage(stage) || candidate.current_stage;
+    }
+    
+    /**
+     * Get the actions available for a candidate in their current stage
+     */
+    function getActions(candidate) {
+        if (isClosed(candidate)) return [];
+        
+        const actions = [];
+        const stageAction = STAGE_ACTIONS[candidate.current_stage];
+        if (stageAction) {
+            actions.push(stageAction);
+        }
+        
+        if (candidate.current_stage === 'Schedule Interview') {
+            actions.push('message');
+        }
+        
+        actions.push('reject');
+        return actions;
+    }
+    
+    /**
+     * Check whether a candidate may move to a stage.
+     * When data is given, the submitted values must also lead to that stage.
+     */
+    function canTransition(candidate, toStage, data) {
+        const from = candidate.current_stage;
+        
+        if (!STAGES.includes(toStage)) {
+            return { allowed: false, reason: `"${toStage}" is not a pipeline stage.` };
+        }
+        
+        if (from === toStage) {
+            return { allowed: false, reason: `${candidate.name} is already in ${toStage}.` };
+        }
+        
+        if (isClosed(candidate)) {
+            return { allowed: false, reason: `${candidate.name} is already ${from} and cannot be moved.` };
+        }
+        
+        if (toStage === REJECTED) {
+            return { allowed: true, action: 'reject' };
+        }
+        
+        const action = STAGE_ACTIONS[from];
+        const next = getNextStage(from);
+        
+        if (!action || toStage !== next) {
+            const reason = next
+                ? `Candidates in ${from} can only move to ${next} or be rejected.`
+                : `Candidates in ${from} can only be rejected from here.`;
+            return { allowed: false, reason };
+        }
+        
+        if (data !== undefined) {
+            const outcome = ACTION_OUTCOMES[action];
+            if (outcome && !outcome.advance.includes(data[outcome.field])) {
+                return {
+                    allowed: false,
+                    reason: `${from} to ${toStage} needs the ${outcome.label} "${outcome.advance.join('" or "')}".`
+                };
+            }
+        }
+        
+        return { allowed: true, action };
+    }
+    
+    /**
+     * Validate an action's form data against the candidate's current stage.
+     * Returns the stage the candidate will end up in when valid.
+     */
+    function validate(action, candidate, data = {}) {
+        const errors = [];
+        const label = ACTION_LABELS[action] || action;
+        
+        if (!candidate) {
+            return { valid: false, errors: ['Candidate not found. Please reload the page.'] };
+        }
+        
+        if (isClosed(candidate)) {
+            errors.push(`${candidate.name} is already ${candidate.current_stage}, so no ${label} can be recorded.`);
+            return { valid: false, errors };
+        }
+        
+        if (action === 'reject') {
+            if (!CONFIG.REJECTION_TAGS.includes(data.rejection_tag)) {
+                errors.push('Please pick a rejection reason from the list.');
+            }
+        } else {
+            const stage = getActionStage(action);
+            if (stage !== candidate.current_stage) {
+                errors.push(`${candidate.name} is in ${candidate.current_stage}, but a ${label} can only be recorded in ${stage}.`);
+            }
+            
+            const outcome = ACTION_OUTCOMES[action];
+            if (outcome && !outcome.values.includes(data[outcome.field])) {
+                errors.push(`Please pick a valid ${outcome.label}.`);
+            }
+        }
+        
+        if (action === 'schedule' && ['Confirmed', 'Rescheduled'].includes(data.status)) {
+            if (!data.interview_date || !data.interview_time) {
+                errors.push(`A ${data.status.toLowerCase()} interview needs both a date and a time.`);
+            } else if (`${data.interview_date} ${data.interview_time}` < `${Utils.getToday()} ${Utils.getCurrentTime()}`) {
+                errors.push('The interview date and time cannot be in the past.');
+            }
+        }
+        
+        if (action === 'walkin' && data.attendance === 'Arrived') {
+            if (!data.arrival_time) {
+                errors.push('Please enter the arrival time.');
+            }
+            if (!data.token) {
+                errors.push('Please enter the token number from the walk-in form.');
+            }
+        }
+        
+        return {
+            valid: errors.length === 0,
+            errors,
+            targetStage: errors.length === 0 ? getTargetStage(action, candidate, data) : null
+        };
+    }
+    
+    // Public API
+    return {
+        STAGE_ACTIONS,
+        ACTION_OUTCOMES,
+        getActionStage,
+        getNextStage,
+        getTargetStage,
+        getActions,
+        canTransition,
+        validate,
+        isClosed
+    };
+})();
+
+// Make Workflow globally available
+window.Workflow = Workflow;